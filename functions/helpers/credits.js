@@ -0,0 +1,254 @@
+/**
+ * Daily video credits
+ *
+ * Each user doc has a `credits` balance, refilled every day to their plan's dailyJobs
+ * (helpers/plans). Every change is appended to users/{userId}/ledger/{entryId} with the
+ * balance after it:
+ * - grant:  daily top-up (back up to the plan's allowance), the first grant for a new user, or
+ *           the extra allowance when moving to a bigger plan mid-day (once per plan per day)
+ * - debit:  starting a job costs one credit, taken in the same transaction that claims the job,
+ *           so concurrent starts can't spend the same credit twice
+ * - refund: the job's credit comes back when it fails, is canceled or expires - at once when
+ *           Replicate submission fails (releaseJobCredits), otherwise via the refundCredits trigger.
+ *           Only credits a debit entry actually took for the job are refunded.
+ */
+
+const admin = require('firebase-admin');
+const { PLANS, FREE_PLAN, planFor, planIdFor } = require('./plans');
+
+const FREE_DAILY_CREDITS = PLANS[FREE_PLAN].dailyJobs;
+const JOB_CREDIT_COST = 1;
+
+/** Not enough credits to start - message is shown to the user */
+class InsufficientCreditsError extends Error {
+  /**
+   * @param {number} balance
+   * @param {number} needed
+   * @param {object} plan - The user's plan (entry of PLANS)
+   */
+  constructor(balance, needed, plan) {
+    const upsell = Object.values(PLANS).some((p) => p.rank > plan.rank) ? ' - or upgrade for more!' : '.';
+    super(needed > 1 && balance > 0
+      ? `You have ${balance} video${balance === 1 ? '' : 's'} left today - pick fewer styles${upsell}`
+      : `You're out of videos for today. You get ${plan.dailyJobs} more tomorrow${upsell}`);
+    this.name = 'InsufficientCreditsError';
+    this.balance = balance;
+    this.needed = needed;
+  }
+}
+
+function ledgerEntry(type, amount, balanceAfter, { jobIds, reason, actor } = {}) {
+  return {
+    type,
+    amount,
+    balanceAfter,
+    jobIds: jobIds || [],
+    reason: reason || null,
+    actor: actor || 'system',
+    at: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Current balance. Users from before credits existed have no balance yet: they start
+ * with a full day's grant for their plan, recorded when the balance is first written.
+ */
+function balanceOf(user) {
+  return typeof user?.credits === 'number' ? user.credits : null;
+}
+
+/**
+ * Fields + first ledger entry for a new user doc
+ * @returns {{ fields: object, entry: object }}
+ */
+function initialCredits() {
+  return {
+    fields: { credits: FREE_DAILY_CREDITS },
+    entry: ledgerEntry('grant', FREE_DAILY_CREDITS, FREE_DAILY_CREDITS, { reason: 'welcome' }),
+  };
+}
+
+/**
+ * Take credits inside a transaction (call before any of the transaction's writes).
+ * @param {FirebaseFirestore.Transaction} tx
+ * @param {FirebaseFirestore.DocumentReference} userRef
+ * @param {number} amount
+ * @param {{ jobIds?: string[], reason?: string, actor?: string }} [opts]
+ * @returns {Promise<number>} Balance after the debit
+ * @throws {InsufficientCreditsError}
+ */
+async function debitCredits(tx, userRef, amount, opts = {}) {
+  const user = (await tx.get(userRef)).data();
+  const plan = planFor(user);
+  let balance = balanceOf(user);
+  if (balance === null) {
+    balance = plan.dailyJobs;
+    tx.set(userRef.collection('ledger').doc(), ledgerEntry('grant', balance, balance, { reason: 'initial balance' }));
+  }
+  if (balance < amount) {
+    throw new InsufficientCreditsError(balance, amount, plan);
+  }
+  tx.set(userRef, { credits: balance - amount }, { merge: true });
+  tx.set(userRef.collection('ledger').doc(), ledgerEntry('debit', -amount, balance - amount, opts));
+  return balance - amount;
+}
+
+/**
+ * Credits the ledger shows were debited for a job (0 if none). Batch starts debit several
+ * jobs in one entry, split evenly.
+ * @param {FirebaseFirestore.Transaction} tx
+ * @param {FirebaseFirestore.DocumentReference} userRef
+ * @param {string} jobId
+ * @returns {Promise<number>}
+ */
+async function debitedFor(tx, userRef, jobId) {
+  const entries = await tx.get(userRef.collection('ledger').where('jobIds', 'array-contains', jobId));
+  return entries.docs
+    .map((doc) => doc.data())
+    .filter((entry) => entry.type === 'debit')
+    .reduce((sum, entry) => sum - entry.amount / entry.jobIds.length, 0);
+}
+
+/**
+ * Give a job's credit back inside a transaction that also updates the job, e.g. as the
+ * onTransaction of its failing transition. Reads the user and the ledger, so call it
+ * before any writes. job.creditCost alone isn't trusted: the refund is capped at what a
+ * debit ledger entry took for this job.
+ * @param {FirebaseFirestore.Transaction} tx
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} jobRef
+ * @param {object} job - Job data read in this transaction
+ * @param {{ reason?: string, actor?: string }} [opts]
+ * @returns {Promise<object|null>} Job fields to write (creditRefundedAt), or null if there is
+ *   nothing to refund (no creditCost, no matching debit, or already refunded)
+ */
+async function releaseJobCredits(tx, db, jobRef, job, { reason, actor } = {}) {
+  if (!job?.creditCost || job.creditRefundedAt) return null;
+
+  const userRef = db.collection('users').doc(job.userId);
+  const [user, debited] = await Promise.all([
+    tx.get(userRef).then((snap) => snap.data()),
+    debitedFor(tx, userRef, jobRef.id),
+  ]);
+  const amount = Math.min(job.creditCost, debited);
+  if (amount <= 0) {
+    console.warn('releaseJobCredits: no debit for job', jobRef.id, '- nothing refunded');
+    return null;
+  }
+  const balance = balanceOf(user) ?? planFor(user).dailyJobs;
+  tx.set(userRef, { credits: balance + amount }, { merge: true });
+  tx.set(userRef.collection('ledger').doc(), ledgerEntry('refund', amount, balance + amount, {
+    jobIds: [jobRef.id],
+    reason,
+    actor,
+  }));
+  return { creditRefundedAt: admin.firestore.FieldValue.serverTimestamp() };
+}
+
+/**
+ * Give a finished job's credit back (job.creditCost), once - job.creditRefundedAt marks it
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} jobRef
+ * @param {{ reason?: string, actor?: string }} [opts]
+ * @returns {Promise<boolean>} true if credits were refunded
+ */
+async function refundJobCredits(db, jobRef, opts = {}) {
+  return db.runTransaction(async (tx) => {
+    const jobSnap = await tx.get(jobRef);
+    const fields = await releaseJobCredits(tx, db, jobRef, jobSnap.data(), opts);
+    if (!fields) return false;
+    tx.update(jobRef, fields);
+    return true;
+  });
+}
+
+/**
+ * Daily top-up: back up to the plan's dailyJobs (unused credits don't pile up).
+ * The ledger entry id is per day, so running it twice the same day changes nothing.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} userRef
+ * @param {string} day - yyyy-mm-dd (UTC)
+ * @returns {Promise<number>} Credits granted
+ */
+async function topUpDailyCredits(db, userRef, day) {
+  const entryRef = userRef.collection('ledger').doc(`daily-${day}`);
+  return db.runTransaction(async (tx) => {
+    const [userSnap, entrySnap] = await tx.getAll(userRef, entryRef);
+    const user = userSnap.data();
+    if (!user || entrySnap.exists) return 0;
+
+    const allowance = planFor(user).dailyJobs;
+    const balance = balanceOf(user) ?? 0;
+    const amount = allowance - balance;
+    if (amount <= 0) return 0;
+    tx.set(userRef, { credits: allowance }, { merge: true });
+    tx.set(entryRef, ledgerEntry('grant', amount, allowance, { reason: 'daily top-up' }));
+    return amount;
+  });
+}
+
+/**
+ * Write subscription fields (subscriptionStatus, plan, ...) on a user doc inside a transaction,
+ * after reading the user and before any other writes (it reads the ledger). Moving to a plan
+ * with a bigger daily allowance grants the difference right away, so an upgrade doesn't wait
+ * for tomorrow's top-up; a smaller plan just stops topping up as high.
+ * The grant is recorded per plan per day (ledger id upgrade-<day>-<plan>), so switching plans
+ * back and forth grants it once, and never lifts the balance above the new allowance.
+ * @param {FirebaseFirestore.Transaction} tx
+ * @param {FirebaseFirestore.DocumentReference} userRef
+ * @param {object} [user] - User data read in this transaction
+ * @param {object} fields
+ * @param {{ reason?: string, actor?: string }} [opts] - For the ledger entry
+ * @returns {Promise<number>} Credits granted
+ */
+async function applyPlanChange(tx, userRef, user, fields, { reason, actor } = {}) {
+  const newPlanId = planIdFor({ ...user, ...fields });
+  const allowance = PLANS[newPlanId].dailyJobs;
+  const balance = balanceOf(user);
+  const difference = allowance - planFor(user).dailyJobs;
+  if (difference <= 0 || balance === null) {
+    tx.set(userRef, fields, { merge: true });
+    return 0;
+  }
+
+  const day = new Date().toISOString().slice(0, 10);
+  const entryRef = userRef.collection('ledger').doc(`upgrade-${day}-${newPlanId}`);
+  const amount = Math.min(difference, allowance - balance);
+  if (amount <= 0 || (await tx.get(entryRef)).exists) {
+    tx.set(userRef, fields, { merge: true });
+    return 0;
+  }
+  tx.set(userRef, { ...fields, credits: balance + amount }, { merge: true });
+  tx.set(entryRef, ledgerEntry('grant', amount, balance + amount, {
+    reason: reason || `plan upgrade (${newPlanId})`,
+    actor,
+  }));
+  return amount;
+}
+
+/**
+ * applyPlanChange in its own transaction
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} userRef
+ * @param {object} fields
+ * @returns {Promise<number>} Credits granted
+ */
+async function updateUserPlan(db, userRef, fields) {
+  return db.runTransaction(async (tx) => {
+    const user = (await tx.get(userRef)).data();
+    return applyPlanChange(tx, userRef, user, fields);
+  });
+}
+
+module.exports = {
+  FREE_DAILY_CREDITS,
+  JOB_CREDIT_COST,
+  InsufficientCreditsError,
+  initialCredits,
+  debitCredits,
+  releaseJobCredits,
+  refundJobCredits,
+  topUpDailyCredits,
+  applyPlanChange,
+  updateUserPlan,
+};
@@ -0,0 +1,224 @@
+/**
+ * Shared HTTP middleware for Cloud Functions endpoints
+ *
+ * Middlewares are `async (req, res) => void`: throw an HttpError to reject, or end the
+ * response (e.g. CORS preflight) to stop the chain. `endpoint()` builds the standard stack:
+ *
+ *   exports.getThing = functions.https.onRequest(endpoint('getThing', {
+ *     methods: ['POST'],
+ *     auth: true,                     // or 'admin' (requires admin custom claim)
+ *     body: { jobId: { type: 'string', required: true } },
+ *   }, async (req, res) => { ... req.user.uid ... }));
+ *
+ * Errors are returned as { error: <message>, code: <ERROR_CODE> }.
+ */
+
+const admin = require('firebase-admin');
+
+const ERROR_STATUS = {
+  INVALID_ARGUMENT: 400,
+  FAILED_PRECONDITION: 400,
+  UNAUTHENTICATED: 401,
+  PERMISSION_DENIED: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  CONFLICT: 409,
+  RESOURCE_EXHAUSTED: 429,
+  INTERNAL: 500,
+  UNAVAILABLE: 503,
+};
+
+class HttpError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_STATUS
+   * @param {string} message - Shown to the client
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+  }
+}
+
+/**
+ * Allowed browser origins: CORS_ALLOWED_ORIGINS (comma-separated, "*" for any),
+ * else the project's Hosting domains plus local dev servers
+ */
+function allowedOrigins() {
+  if (process.env.CORS_ALLOWED_ORIGINS) {
+    return process.env.CORS_ALLOWED_ORIGINS.split(',').map((o) => o.trim()).filter(Boolean);
+  }
+  const projectId = process.env.GCLOUD_PROJECT
+    || (process.env.FIREBASE_CONFIG ? JSON.parse(process.env.FIREBASE_CONFIG).projectId : null);
+  return [
+    ...(projectId ? [`https://${projectId}.web.app`, `https://${projectId}.firebaseapp.com`] : []),
+    'http://localhost:8000',
+    'http://127.0.0.1:8000',
+    'http://localhost:5000',
+  ];
+}
+
+/**
+ * CORS with an origin allowlist; answers preflight requests
+ */
+function cors(methods) {
+  return async (req, res) => {
+    const origin = req.headers.origin;
+    const allowed = allowedOrigins();
+    if (allowed.includes('*')) {
+      res.set('Access-Control-Allow-Origin', '*');
+    } else if (origin && allowed.includes(origin)) {
+      res.set('Access-Control-Allow-Origin', origin);
+      res.set('Vary', 'Origin');
+    }
+    res.set('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.set('Access-Control-Max-Age', '3600');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+    }
+  };
+}
+
+function allowMethods(methods) {
+  return async (req) => {
+    if (!methods.includes(req.method)) {
+      throw new HttpError('METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+  };
+}
+
+/**
+ * Verify the Firebase ID token and set req.user (decoded token)
+ * @param {{ admin?: boolean }} [opts] - admin: require the `admin` custom claim
+ */
+function requireAuth({ admin: requireAdmin = false } = {}) {
+  return async (req) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader?.startsWith('Bearer ')) {
+      throw new HttpError('UNAUTHENTICATED', 'Missing or invalid Authorization header');
+    }
+    try {
+      req.user = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    } catch (e) {
+      throw new HttpError('UNAUTHENTICATED', 'Invalid or expired ID token');
+    }
+    if (requireAdmin && req.user.admin !== true) {
+      throw new HttpError('PERMISSION_DENIED', 'Unauthorized');
+    }
+  };
+}
+
+/**
+ * Check an object against a schema:
+ *   { field: { type: 'string'|'number'|'boolean'|'array'|'object', required, enum, maxLength, message } }
+ * Unknown fields are left alone.
+ */
+function checkSchema(data, schema, where) {
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        throw new HttpError('INVALID_ARGUMENT', rule.message || `${field} is required`);
+      }
+      continue;
+    }
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    if (rule.type && type !== rule.type) {
+      throw new HttpError('INVALID_ARGUMENT', rule.message || `${field} must be a ${rule.type} (${where})`);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      throw new HttpError('INVALID_ARGUMENT', `Invalid ${field}. Allowed: ${rule.enum.join(', ')}`);
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      throw new HttpError('INVALID_ARGUMENT', `${field} is too long (max ${rule.maxLength})`);
+    }
+  }
+}
+
+/**
+ * Validate the JSON body against a schema (see checkSchema)
+ */
+function validateBody(schema) {
+  return async (req) => {
+    if (req.body != null && (typeof req.body !== 'object' || Array.isArray(req.body))) {
+      throw new HttpError('INVALID_ARGUMENT', 'Request body must be a JSON object');
+    }
+    req.body = req.body || {};
+    checkSchema(req.body, schema, 'body');
+  };
+}
+
+function validateQuery(schema) {
+  return async (req) => {
+    checkSchema(req.query || {}, schema, 'query');
+  };
+}
+
+/**
+ * Send a structured error response. Unexpected errors are logged and returned as INTERNAL.
+ */
+function sendError(res, name, error) {
+  if (error instanceof HttpError) {
+    if (error.status >= 500) console.error(`${name} error:`, error.message);
+    res.status(error.status).json({ error: error.message, code: error.code });
+    return;
+  }
+  console.error(`${name} error:`, error);
+  res.status(500).json({ error: error.message || 'Internal server error', code: 'INTERNAL' });
+}
+
+/**
+ * Run middlewares in order, then the handler, with shared error handling
+ */
+function compose(name, middlewares, handler) {
+  return async (req, res) => {
+    try {
+      for (const middleware of middlewares) {
+        await middleware(req, res);
+        if (res.headersSent) return;
+      }
+      await handler(req, res);
+    } catch (error) {
+      if (res.headersSent) {
+        console.error(`${name} error after response:`, error);
+        return;
+      }
+      sendError(res, name, error);
+    }
+  };
+}
+
+/**
+ * Standard endpoint stack: CORS -> method guard -> auth -> body/query validation -> handler
+ * @param {string} name - Used in logs
+ * @param {object} opts
+ * @param {string[]} opts.methods - e.g. ['POST']
+ * @param {boolean|'admin'} [opts.auth] - Require a Firebase ID token (and admin claim)
+ * @param {object} [opts.body] - Body schema
+ * @param {object} [opts.query] - Query schema
+ * @param {function} handler - async (req, res)
+ */
+function endpoint(name, { methods, auth = false, body, query }, handler) {
+  return compose(name, [
+    cors(methods),
+    allowMethods(methods),
+    ...(auth ? [requireAuth({ admin: auth === 'admin' })] : []),
+    ...(body ? [validateBody(body)] : []),
+    ...(query ? [validateQuery(query)] : []),
+  ], handler);
+}
+
+module.exports = {
+  HttpError,
+  cors,
+  allowMethods,
+  requireAuth,
+  validateBody,
+  validateQuery,
+  sendError,
+  compose,
+  endpoint,
+};
@@ -0,0 +1,172 @@
+/**
+ * Upload validation + normalization for pet photos
+ *
+ * The client uploads uploads/{userId}/{jobId}/original.jpg; processUpload checks it and
+ * writes uploads/{userId}/{jobId}/normalized.jpg, which is what Replicate receives:
+ * - real format from magic bytes (the file name and content type are client-controlled)
+ * - size and dimension limits
+ * - auto-oriented from EXIF, then all metadata (EXIF incl. GPS, XMP, ICC) dropped
+ * - resized so the short side matches the job's output resolution (never upscaled)
+ *
+ * Multi-pet jobs upload original.jpg, original-2.jpg, ... (one pet each). Every photo is
+ * normalized as above, then composeGroupPhoto() lays them out side by side as one group
+ * scene, which becomes the job's normalized.jpg.
+ */
+
+const sharp = require('sharp');
+
+const MAX_IMAGE_SIZE_BYTES = 10 * 1024 * 1024; // 10MB
+const MIN_IMAGE_DIMENSION = 256;
+const MAX_IMAGE_DIMENSION = 12000;
+const MAX_ASPECT_RATIO = 3;
+const DEFAULT_SHORT_SIDE = 768;
+const JPEG_QUALITY = 90;
+const MAX_PET_PHOTOS = 4;
+// Group scene cells are portrait (width / height) - pets are usually photographed upright
+const GROUP_CELL_ASPECT = 3 / 4;
+
+const MAGIC_BYTES = [
+  { type: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  // RIFF....WEBP
+  { type: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50], riff: true },
+];
+
+/** Upload rejected for a reason the user can fix - message is shown to them */
+class ImageValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageValidationError';
+  }
+}
+
+/**
+ * Image MIME type from the file's leading bytes, or null if not a supported format
+ */
+function detectImageType(buffer) {
+  const startsWith = (bytes, offset) => bytes.every((b, i) => buffer[offset + i] === b);
+  for (const magic of MAGIC_BYTES) {
+    if (magic.riff && !startsWith([0x52, 0x49, 0x46, 0x46], 0)) continue;
+    if (startsWith(magic.bytes, magic.offset)) return magic.type;
+  }
+  return null;
+}
+
+function checkSize(bytes) {
+  if (bytes > MAX_IMAGE_SIZE_BYTES) {
+    throw new ImageValidationError(`Photo is too large. Maximum size: ${MAX_IMAGE_SIZE_BYTES / 1024 / 1024}MB`);
+  }
+  if (!bytes) {
+    throw new ImageValidationError('Photo upload is empty. Please upload it again.');
+  }
+}
+
+/** Short side in px for a resolution like "768p" */
+function shortSideFor(resolution) {
+  const px = parseInt(resolution, 10);
+  return px > 0 ? px : DEFAULT_SHORT_SIDE;
+}
+
+/**
+ * Validate an uploaded photo and produce the normalized JPEG
+ * @param {Buffer} buffer - Uploaded file
+ * @param {{ resolution?: string }} [opts] - Target output resolution (e.g. "768p")
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number, sourceType: string,
+ *   sourceWidth: number, sourceHeight: number }>}
+ * @throws {ImageValidationError} if the upload is not a usable photo
+ */
+async function normalizeImage(buffer, { resolution } = {}) {
+  checkSize(buffer.length);
+
+  const sourceType = detectImageType(buffer);
+  if (!sourceType) {
+    throw new ImageValidationError('Unsupported image format. Please upload a JPG, PNG or WEBP photo.');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (e) {
+    throw new ImageValidationError('Photo could not be read. The file may be corrupted.');
+  }
+
+  // EXIF orientations 5-8 are rotated 90°, so width/height swap once oriented
+  const rotated = metadata.orientation >= 5;
+  const sourceWidth = rotated ? metadata.height : metadata.width;
+  const sourceHeight = rotated ? metadata.width : metadata.height;
+  if (!sourceWidth || !sourceHeight) {
+    throw new ImageValidationError('Photo could not be read. The file may be corrupted.');
+  }
+  if (Math.min(sourceWidth, sourceHeight) < MIN_IMAGE_DIMENSION) {
+    throw new ImageValidationError(
+      `Photo is too small (${sourceWidth}x${sourceHeight}). Minimum is ${MIN_IMAGE_DIMENSION}px on each side.`
+    );
+  }
+  if (Math.max(sourceWidth, sourceHeight) > MAX_IMAGE_DIMENSION) {
+    throw new ImageValidationError(`Photo is too large (${sourceWidth}x${sourceHeight}). Maximum is ${MAX_IMAGE_DIMENSION}px.`);
+  }
+  if (Math.max(sourceWidth, sourceHeight) / Math.min(sourceWidth, sourceHeight) > MAX_ASPECT_RATIO) {
+    throw new ImageValidationError('Photo is too narrow or too wide. Please crop it closer to your pet.');
+  }
+
+  const shortSide = shortSideFor(resolution);
+  // sharp drops all metadata unless withMetadata() is called
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: shortSide, height: shortSide, fit: 'outside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    width: info.width,
+    height: info.height,
+    sourceType,
+    sourceWidth,
+    sourceHeight,
+  };
+}
+
+/**
+ * Lay out normalized pet photos as one group scene: a row for 2-3 pets, a 2x2 grid for 4.
+ * Each photo is cropped to its cell around the most salient region (usually the pet).
+ * @param {Buffer[]} photos - Normalized JPEGs (see normalizeImage)
+ * @param {{ resolution?: string }} [opts] - Target output resolution; sets the scene's short side
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number }>}
+ */
+async function composeGroupPhoto(photos, { resolution } = {}) {
+  const shortSide = shortSideFor(resolution);
+  const grid = photos.length === 4;
+  const cols = grid ? 2 : photos.length;
+  const rows = Math.ceil(photos.length / cols);
+  const cellWidth = grid ? Math.round(shortSide / 2) : Math.round(shortSide * GROUP_CELL_ASPECT);
+  const cellHeight = Math.round(cellWidth / GROUP_CELL_ASPECT);
+
+  const cells = await Promise.all(photos.map((photo) => sharp(photo)
+    .resize({ width: cellWidth, height: cellHeight, fit: 'cover', position: sharp.strategy.attention })
+    .toBuffer()));
+
+  const { data, info } = await sharp({
+    create: { width: cols * cellWidth, height: rows * cellHeight, channels: 3, background: '#ffffff' },
+  })
+    .composite(cells.map((input, i) => ({
+      input,
+      left: (i % cols) * cellWidth,
+      top: Math.floor(i / cols) * cellHeight,
+    })))
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+module.exports = {
+  MAX_IMAGE_SIZE_BYTES,
+  MAX_PET_PHOTOS,
+  ImageValidationError,
+  detectImageType,
+  checkSize,
+  normalizeImage,
+  composeGroupPhoto,
+};
@@ -0,0 +1,169 @@
+/**
+ * Job state machine
+ *
+ * All job status changes go through here so that:
+ * - only legal transitions happen (checked inside a Firestore transaction)
+ * - every transition is appended to jobs/{jobId}/events with actor and reason
+ *
+ *   pending ──> uploading ──> queued ──> processing ──> completed
+ *      │            │           │  ^         │
+ *      │            │           │  └─retry───┤
+ *      └────────────┴───────────┴────────────┴──> failed | canceled
+ *   pending / uploading / queued ──> expired
+ *
+ * Actors are free-form strings: "user:<uid>", "system:<function>", "replicate".
+ */
+
+const admin = require('firebase-admin');
+
+const JOB_STATES = {
+  PENDING: 'pending', // created, waiting for upload
+  UPLOADING: 'uploading', // image received, being validated
+  QUEUED: 'queued', // start requested or retry scheduled, Replicate submission pending
+  PROCESSING: 'processing', // Replicate prediction running
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELED: 'canceled',
+  EXPIRED: 'expired', // never started (e.g. upload never happened)
+};
+
+const TRANSITIONS = {
+  pending: ['uploading', 'queued', 'failed', 'canceled', 'expired'],
+  uploading: ['pending', 'queued', 'failed', 'canceled', 'expired'],
+  queued: ['processing', 'completed', 'failed', 'canceled', 'expired'],
+  processing: ['queued', 'completed', 'failed', 'canceled'],
+  completed: [],
+  failed: [],
+  canceled: [],
+  expired: [],
+};
+
+const TERMINAL_STATES = Object.keys(TRANSITIONS).filter((s) => TRANSITIONS[s].length === 0);
+
+class JobTransitionError extends Error {
+  constructor(jobId, from, to) {
+    super(`Illegal job transition for ${jobId}: ${from} -> ${to}`);
+    this.name = 'JobTransitionError';
+    this.jobId = jobId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function eventData(from, to, actor, reason) {
+  return {
+    from,
+    to,
+    actor: actor || 'system',
+    reason: reason || null,
+    at: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Create a job document in the initial `pending` state, with its first event
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} jobRef
+ * @param {object} data - Job fields (status is set here)
+ * @param {string} actor
+ */
+async function createJobDoc(db, jobRef, data, actor) {
+  const batch = db.batch();
+  batch.set(jobRef, {
+    ...data,
+    status: JOB_STATES.PENDING,
+    statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  batch.set(jobRef.collection('events').doc(), eventData(null, JOB_STATES.PENDING, actor, 'created'));
+  await batch.commit();
+}
+
+/**
+ * Move a job to a new status inside a transaction and record the event.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} jobRef
+ * @param {string} to - Target status (JOB_STATES value)
+ * @param {object} opts
+ * @param {string} opts.actor - Who caused the transition
+ * @param {string} [opts.reason] - Why (stored on the event)
+ * @param {object} [opts.fields] - Extra job fields to write with the status change
+ * @param {string[]} [opts.from] - Only allow the transition from these states
+ * @param {function} [opts.onTransaction] - (tx, job) => object|void, extra writes in the same
+ *   transaction (before any write, so it may still read); a returned object is merged into the job update
+ * @returns {Promise<{ from: string, to: string, job: object }>} job is the pre-transition data
+ * @throws {JobTransitionError} if the job is missing or the transition is illegal
+ */
+async function transitionJob(db, jobRef, to, { actor, reason, fields, from, onTransaction } = {}) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(jobRef);
+    const current = snap.exists ? snap.data().status : null;
+    if (!snap.exists || !canTransition(current, to) || (from && !from.includes(current))) {
+      throw new JobTransitionError(jobRef.id, current, to);
+    }
+
+    const update = {
+      ...fields,
+      status: to,
+      statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (TERMINAL_STATES.includes(to) && !(fields && 'completedAt' in fields)) {
+      update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    const extraFields = onTransaction ? await onTransaction(tx, snap.data()) : null;
+    tx.update(jobRef, { ...update, ...extraFields });
+    tx.set(jobRef.collection('events').doc(), eventData(current, to, actor, reason));
+    return { from: current, to, job: snap.data() };
+  });
+}
+
+/**
+ * Move several jobs to the same status in one transaction - all of them or none.
+ * Takes the same options as transitionJob; onTransaction gets all the jobs: (tx, jobs) => void.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference[]} jobRefs
+ * @param {string} to - Target status (JOB_STATES value)
+ * @returns {Promise<object[]>} Pre-transition job data, in jobRefs order
+ * @throws {JobTransitionError} for the first job that is missing or can't make the transition
+ */
+async function transitionJobs(db, jobRefs, to, { actor, reason, fields, from, onTransaction } = {}) {
+  return db.runTransaction(async (tx) => {
+    const snaps = await tx.getAll(...jobRefs);
+    for (const snap of snaps) {
+      const current = snap.exists ? snap.data().status : null;
+      if (!snap.exists || !canTransition(current, to) || (from && !from.includes(current))) {
+        throw new JobTransitionError(snap.id, current, to);
+      }
+    }
+
+    const update = {
+      ...fields,
+      status: to,
+      statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (TERMINAL_STATES.includes(to) && !(fields && 'completedAt' in fields)) {
+      update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    if (onTransaction) await onTransaction(tx, snaps.map((snap) => snap.data()));
+    for (const snap of snaps) {
+      tx.update(snap.ref, update);
+      tx.set(snap.ref.collection('events').doc(), eventData(snap.data().status, to, actor, reason));
+    }
+    return snaps.map((snap) => snap.data());
+  });
+}
+
+module.exports = {
+  JOB_STATES,
+  TERMINAL_STATES,
+  JobTransitionError,
+  canTransition,
+  createJobDoc,
+  transitionJob,
+  transitionJobs,
+};
@@ -0,0 +1,107 @@
+/**
+ * Per-job model selection and weighted A/B routing
+ *
+ * Each quality tier maps to a weighted list of Replicate models, read from env:
+ *   REPLICATE_MODEL=minimax/hailuo-2.3-fast=80,minimax/video-01=20
+ *   REPLICATE_HQ_MODEL=minimax/hailuo-2.3
+ * A model without "=weight" gets weight 1, so a single model id works as before.
+ * Assignment is deterministic per job id so retries land on the same model.
+ * Which tiers a user may pick is up to their plan (helpers/plans qualityTiers).
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_MODEL = 'minimax/hailuo-2.3-fast';
+const DEFAULT_HQ_MODEL = 'minimax/hailuo-2.3';
+
+const QUALITY_TIERS = {
+  standard: {
+    resolution: '768p',
+    models: () => process.env.REPLICATE_MODEL || DEFAULT_MODEL,
+  },
+  high: {
+    resolution: '1080p',
+    models: () => process.env.REPLICATE_HQ_MODEL || DEFAULT_HQ_MODEL,
+  },
+};
+
+const DEFAULT_QUALITY_TIER = 'standard';
+
+/**
+ * Parse "model=weight,model=weight" into [{ model, weight }]
+ */
+function parseWeightedModels(spec) {
+  return String(spec || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const eq = entry.lastIndexOf('=');
+      if (eq === -1) return { model: entry, weight: 1 };
+      const weight = Number(entry.slice(eq + 1));
+      return { model: entry.slice(0, eq).trim(), weight: Number.isFinite(weight) ? weight : 0 };
+    })
+    .filter((v) => v.model && v.weight > 0);
+}
+
+/**
+ * Map a job id to a stable number in [0, 1)
+ */
+function bucketFor(seed) {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Weighted pick from [{ model, weight }] using a stable seed
+ */
+function pickWeighted(variants, seed) {
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+  let point = bucketFor(seed) * total;
+  for (const v of variants) {
+    point -= v.weight;
+    if (point < 0) return v;
+  }
+  return variants[variants.length - 1];
+}
+
+function getTierVariants(qualityTier) {
+  const tier = QUALITY_TIERS[qualityTier];
+  if (!tier) return [];
+  const variants = parseWeightedModels(tier.models());
+  return variants.length ? variants : [{ model: DEFAULT_MODEL, weight: 1 }];
+}
+
+/**
+ * Default model for jobs that predate per-job assignment
+ */
+function defaultModel() {
+  return getTierVariants(DEFAULT_QUALITY_TIER)[0].model;
+}
+
+/**
+ * Choose the model for a job. Caller validates the tier (and that the user's plan allows it) first.
+ * @param {string} jobId - Seed for deterministic assignment
+ * @param {string} qualityTier - Key of QUALITY_TIERS
+ * @returns {{ qualityTier: string, replicateModel: string, resolution: string, abWeight: number }}
+ */
+function assignModel(jobId, qualityTier) {
+  const variants = getTierVariants(qualityTier);
+  const picked = pickWeighted(variants, jobId);
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+
+  return {
+    qualityTier,
+    replicateModel: picked.model,
+    resolution: QUALITY_TIERS[qualityTier].resolution,
+    abWeight: picked.weight / total,
+  };
+}
+
+module.exports = {
+  QUALITY_TIERS,
+  DEFAULT_QUALITY_TIER,
+  parseWeightedModels,
+  assignModel,
+  defaultModel,
+};
@@ -0,0 +1,26 @@
+/**
+ * Fallback adapter for models without a dedicated adapter
+ * Input: image, prompt
+ */
+
+const { extractVideoUrl } = require('../common');
+
+module.exports = {
+  id: 'generic',
+  priority: -Infinity,
+  matches: () => true,
+  durations: [],
+  resolutions: [],
+  defaults: {},
+
+  buildInput({ imageUrl, danceStyle, prompt }) {
+    return { image: imageUrl, prompt: prompt || `Pet dancing in ${danceStyle} style` };
+  },
+
+  extractVideoUrl,
+
+  // Unknown pricing
+  estimateCost() {
+    return null;
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * minimax/hailuo-* adapter
+ * Input: first_frame_image, prompt, duration, resolution
+ */
+
+const { defaultPrompt, extractVideoUrl } = require('../common');
+
+// Approximate Replicate list price per second of output video (USD)
+const COST_PER_SECOND = { '512p': 0.017, '768p': 0.032, '1080p': 0.08 };
+
+module.exports = {
+  id: 'hailuo',
+  priority: 20,
+  matches: (modelId) => modelId.includes('hailuo'),
+  durations: [6, 10],
+  resolutions: ['512p', '768p', '1080p'],
+  defaults: { duration: 6, resolution: '768p' },
+
+  buildInput({ imageUrl, danceStyle, duration, resolution, prompt }) {
+    return {
+      first_frame_image: imageUrl,
+      prompt: prompt || defaultPrompt(danceStyle),
+      duration,
+      resolution,
+      prompt_optimizer: true,
+    };
+  },
+
+  extractVideoUrl,
+
+  estimateCost({ duration, resolution }) {
+    return (COST_PER_SECOND[resolution] || COST_PER_SECOND['768p']) * duration;
+  },
+};
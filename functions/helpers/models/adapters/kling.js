@@ -0,0 +1,36 @@
+/**
+ * kwaivgi/kling-* adapter
+ * Input: start_image, prompt, negative_prompt, duration, mode (standard = 720p, pro = 1080p)
+ */
+
+const { defaultPrompt, extractVideoUrl } = require('../common');
+
+const MODE_BY_RESOLUTION = { '720p': 'standard', '1080p': 'pro' };
+// Approximate Replicate list price per second of output video (USD)
+const COST_PER_SECOND = { '720p': 0.05, '1080p': 0.09 };
+
+module.exports = {
+  id: 'kling',
+  priority: 20,
+  matches: (modelId) => modelId.startsWith('kwaivgi/kling'),
+  durations: [5, 10],
+  resolutions: ['720p', '1080p'],
+  defaults: { duration: 5, resolution: '720p' },
+  supportsNegativePrompt: true,
+
+  buildInput({ imageUrl, danceStyle, duration, resolution, prompt, negativePrompt }) {
+    return {
+      start_image: imageUrl,
+      prompt: prompt || defaultPrompt(danceStyle),
+      ...(negativePrompt && { negative_prompt: negativePrompt }),
+      duration,
+      mode: MODE_BY_RESOLUTION[resolution] || 'standard',
+    };
+  },
+
+  extractVideoUrl,
+
+  estimateCost({ duration, resolution }) {
+    return (COST_PER_SECOND[resolution] || COST_PER_SECOND['720p']) * duration;
+  },
+};
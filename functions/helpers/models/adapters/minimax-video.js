@@ -0,0 +1,29 @@
+/**
+ * minimax/video-01 (and other minimax/* non-hailuo models) adapter
+ * Input: image, prompt
+ */
+
+const { defaultPrompt, extractVideoUrl } = require('../common');
+
+module.exports = {
+  id: 'minimax-video',
+  priority: 10,
+  matches: (modelId) => modelId.startsWith('minimax/'),
+  durations: [6],
+  resolutions: ['720p'],
+  defaults: { duration: 6, resolution: '720p' },
+
+  buildInput({ imageUrl, danceStyle, prompt }) {
+    return {
+      prompt: prompt || defaultPrompt(danceStyle),
+      image: imageUrl,
+    };
+  },
+
+  extractVideoUrl,
+
+  // Flat per-video price
+  estimateCost() {
+    return 0.5;
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * stability-ai/stable-video-diffusion adapter
+ * Input: image, motion_bucket_id, fps (no prompt support)
+ */
+
+const { extractVideoUrl } = require('../common');
+
+module.exports = {
+  id: 'stable-video-diffusion',
+  priority: 10,
+  matches: (modelId) => modelId.startsWith('stability-ai/'),
+  durations: [4],
+  resolutions: ['576p'],
+  defaults: { duration: 4, resolution: '576p' },
+
+  buildInput({ imageUrl }) {
+    return {
+      image: imageUrl,
+      motion_bucket_id: 127,
+      fps: 6,
+    };
+  },
+
+  extractVideoUrl,
+
+  // Billed by GPU time - roughly 40s on an A100
+  estimateCost() {
+    return 0.06;
+  },
+};
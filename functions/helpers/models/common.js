@@ -0,0 +1,35 @@
+/**
+ * Shared helpers for video model adapters
+ */
+
+/**
+ * Default dancing prompt used by prompt-driven models
+ */
+function defaultPrompt(danceStyle) {
+  return `A cute pet dancing in ${danceStyle} style, smooth motion, professional quality`;
+}
+
+/**
+ * Pull the video URL out of a Replicate prediction output.
+ * Handles plain strings, arrays of URLs and objects keyed url/video/output.
+ */
+function extractVideoUrl(output) {
+  if (!output) return null;
+  if (typeof output === 'string') return output;
+  if (Array.isArray(output)) return typeof output[0] === 'string' ? output[0] : null;
+  if (typeof output === 'object') {
+    let videoUrl = output.url || output.video || output.output || output[0];
+    if (Array.isArray(videoUrl)) videoUrl = videoUrl[0];
+    return typeof videoUrl === 'string' ? videoUrl : null;
+  }
+  return null;
+}
+
+/**
+ * Strip an optional ":version" suffix so adapters match on owner/name only
+ */
+function baseModelId(modelConfig) {
+  return String(modelConfig || '').split(':')[0];
+}
+
+module.exports = { defaultPrompt, extractVideoUrl, baseModelId };
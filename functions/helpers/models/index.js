@@ -0,0 +1,91 @@
+/**
+ * Video model adapter registry
+ *
+ * Every file in ./adapters is loaded at startup. To support a new Replicate model,
+ * drop in an adapter module exporting:
+ * - id: unique adapter name
+ * - priority: higher wins when several adapters match a model
+ * - matches(modelId): true if this adapter handles "owner/name"
+ * - durations / resolutions: supported output options (defaults.* must be among them)
+ * - defaults: { duration, resolution }
+ * - supportsNegativePrompt: true if the model takes a negative prompt (default false)
+ * - buildInput({ imageUrl, danceStyle, duration, resolution, prompt, negativePrompt }):
+ *   Replicate input (prompt is the rendered style prompt; prompt-less models ignore it)
+ * - extractVideoUrl(output): video URL from prediction output, or null
+ * - estimateCost({ duration, resolution }): approximate USD per prediction, or null if unknown
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { baseModelId } = require('./common');
+
+const ADAPTERS_DIR = path.join(__dirname, 'adapters');
+const REQUIRED_FUNCTIONS = ['matches', 'buildInput', 'extractVideoUrl', 'estimateCost'];
+
+const adapters = [];
+
+/**
+ * Add an adapter to the registry (validated, kept sorted by priority)
+ */
+function registerAdapter(adapter) {
+  if (!adapter?.id) {
+    throw new Error('Model adapter must have an id');
+  }
+  for (const fn of REQUIRED_FUNCTIONS) {
+    if (typeof adapter[fn] !== 'function') {
+      throw new Error(`Model adapter "${adapter.id}" is missing ${fn}()`);
+    }
+  }
+  if (adapters.some((a) => a.id === adapter.id)) {
+    throw new Error(`Model adapter "${adapter.id}" is already registered`);
+  }
+  adapters.push({
+    priority: 0,
+    durations: [],
+    resolutions: [],
+    defaults: {},
+    supportsNegativePrompt: false,
+    ...adapter,
+  });
+  adapters.sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Find the adapter for a model (accepts "owner/name" or "owner/name:version")
+ */
+function getAdapter(modelConfig) {
+  const modelId = baseModelId(modelConfig);
+  const adapter = adapters.find((a) => a.matches(modelId));
+  if (!adapter) {
+    throw new Error(`No model adapter for ${modelId}`);
+  }
+  return adapter;
+}
+
+function listAdapters() {
+  return adapters.slice();
+}
+
+/**
+ * Resolve duration/resolution for a model, falling back to the adapter defaults
+ * when the requested value is not supported
+ */
+function resolveOutputOptions(adapter, { duration, resolution } = {}) {
+  return {
+    duration: adapter.durations.includes(duration) ? duration : adapter.defaults.duration,
+    resolution: adapter.resolutions.includes(resolution) ? resolution : adapter.defaults.resolution,
+  };
+}
+
+for (const file of fs.readdirSync(ADAPTERS_DIR).sort()) {
+  if (file.endsWith('.js')) {
+    registerAdapter(require(path.join(ADAPTERS_DIR, file)));
+  }
+}
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  listAdapters,
+  resolveOutputOptions,
+};
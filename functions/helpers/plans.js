@@ -0,0 +1,169 @@
+/**
+ * Subscription plans and their limits
+ *
+ * Each paid plan is unlocked by a RevenueCat entitlement (ids from env, matched
+ * case-insensitively). The plan is stored on users/{uid}.plan next to subscriptionStatus
+ * when the subscription is validated; planFor() is the one place that reads it.
+ * Plans granted by hand (scripts/grant-pro.js) live in users/{uid}.manualGrant instead, so
+ * RevenueCat finding no subscription doesn't take them away.
+ *
+ * Per plan:
+ * - dailyJobs: videos per day (the daily credit allowance, see helpers/credits)
+ * - qualityTiers: quality tiers (and so models, see helpers/model-router) it may use
+ * - maxResolution: cap on the assigned tier's output resolution
+ * - durationSeconds: requested video length (models fall back to their default if unsupported)
+ * - proStyles: may use proOnly dance styles
+ * - watermark: finished videos get the PetDance watermark (see helpers/watermark)
+ * - priority: scheduled retries of higher-priority jobs are resubmitted first
+ */
+
+const PLANS = {
+  free: {
+    label: 'Free',
+    rank: 0,
+    entitlement: () => null,
+    dailyJobs: 2,
+    qualityTiers: ['standard'],
+    maxResolution: '768p',
+    durationSeconds: 6,
+    proStyles: false,
+    watermark: true,
+    priority: 0,
+  },
+  pro: {
+    label: 'Pro',
+    rank: 1,
+    entitlement: () => process.env.REVENUECAT_PRO_ENTITLEMENT_ID || process.env.REVENUECAT_ENTITLEMENT_ID || 'pro',
+    dailyJobs: 25,
+    qualityTiers: ['standard', 'high'],
+    maxResolution: '1080p',
+    durationSeconds: 6,
+    proStyles: true,
+    watermark: false,
+    priority: 1,
+  },
+  premium: {
+    label: 'Premium',
+    rank: 2,
+    entitlement: () => process.env.REVENUECAT_PREMIUM_ENTITLEMENT_ID || 'premium',
+    dailyJobs: 100,
+    qualityTiers: ['standard', 'high'],
+    maxResolution: '1080p',
+    durationSeconds: 10,
+    proStyles: true,
+    watermark: false,
+    priority: 2,
+  },
+};
+
+const FREE_PLAN = 'free';
+// Paid subscribers with no plan on file (from before plans existed) are on Pro
+const DEFAULT_PAID_PLAN = 'pro';
+
+// users/{uid}.subscriptionStatus values that unlock the stored plan
+const PAID_STATUSES = ['active', 'trial'];
+
+// Lowest to highest - resolutions a plan may be capped at
+const RESOLUTIONS = ['512p', '768p', '1080p'];
+
+// Largest daily allowance of any plan (the daily top-up looks at users below it)
+const MAX_DAILY_JOBS = Math.max(...Object.values(PLANS).map((p) => p.dailyJobs));
+
+/**
+ * Plan id for a user doc: the stored plan while the subscription is paid, else free - or the
+ * manually granted plan if that is higher
+ * @param {object} [user] - users/{uid} data
+ * @returns {string} Key of PLANS
+ */
+function planIdFor(user) {
+  let subscribed = FREE_PLAN;
+  if (PAID_STATUSES.includes(user?.subscriptionStatus)) {
+    subscribed = PLANS[user.plan] && user.plan !== FREE_PLAN ? user.plan : DEFAULT_PAID_PLAN;
+  }
+  const granted = PLANS[user?.manualGrant] ? user.manualGrant : FREE_PLAN;
+  return PLANS[granted].rank > PLANS[subscribed].rank ? granted : subscribed;
+}
+
+/**
+ * Limits for a user doc (see PLANS)
+ * @param {object} [user] - users/{uid} data
+ */
+function planFor(user) {
+  return PLANS[planIdFor(user)];
+}
+
+/**
+ * Highest plan unlocked by a set of active RevenueCat entitlement ids
+ * @param {string[]} entitlementIds
+ * @returns {string|null} Key of PLANS, or null if none matches
+ */
+function planForEntitlements(entitlementIds) {
+  const active = entitlementIds.map((id) => id.toLowerCase());
+  const matched = Object.entries(PLANS)
+    .filter(([, plan]) => plan.entitlement() && active.includes(plan.entitlement().toLowerCase()))
+    .sort(([, a], [, b]) => b.rank - a.rank);
+  return matched.length ? matched[0][0] : null;
+}
+
+/**
+ * Lowest plan that passes a check, for upgrade messages
+ * @param {function} allows - (plan) => boolean
+ * @returns {object|null}
+ */
+function lowestPlanWhere(allows) {
+  return Object.values(PLANS).sort((a, b) => a.rank - b.rank).find(allows) || null;
+}
+
+/**
+ * Why a plan can't run a job with these settings (message is shown to the user)
+ * @param {object} plan - Entry of PLANS
+ * @param {{ styles?: object[], qualityTier?: string }} request - Dance styles and quality tier
+ * @returns {string|null} null if the plan allows it
+ */
+function planViolation(plan, { styles = [], qualityTier }) {
+  const proStyles = styles.filter((s) => s.proOnly);
+  if (proStyles.length && !plan.proStyles) {
+    const needed = lowestPlanWhere((p) => p.proStyles);
+    return proStyles.length === 1
+      ? `${proStyles[0].label} is a ${needed.label} dance style. Upgrade to use it!`
+      : `${needed.label} dance styles: ${proStyles.map((s) => s.label).join(', ')}. Upgrade to use them!`;
+  }
+  if (qualityTier && !plan.qualityTiers.includes(qualityTier)) {
+    const needed = lowestPlanWhere((p) => p.qualityTiers.includes(qualityTier));
+    return needed
+      ? `${qualityTier} quality requires a ${needed.label} subscription`
+      : `${qualityTier} quality is not available`;
+  }
+  return null;
+}
+
+/**
+ * Cap a resolution at the plan's maxResolution
+ * @param {object} plan - Entry of PLANS
+ * @param {string} resolution - e.g. "1080p"
+ */
+function clampResolution(plan, resolution) {
+  const max = RESOLUTIONS.indexOf(plan.maxResolution);
+  const index = RESOLUTIONS.indexOf(resolution);
+  return index > max ? plan.maxResolution : resolution;
+}
+
+/** Limits safe to show the client */
+function toPublicPlan(planId) {
+  const { label, dailyJobs, qualityTiers, maxResolution, durationSeconds, proStyles, watermark } = PLANS[planId];
+  return { id: planId, label, dailyJobs, qualityTiers, maxResolution, durationSeconds, proStyles, watermark };
+}
+
+module.exports = {
+  PLANS,
+  FREE_PLAN,
+  DEFAULT_PAID_PLAN,
+  PAID_STATUSES,
+  MAX_DAILY_JOBS,
+  planIdFor,
+  planFor,
+  planForEntitlements,
+  planViolation,
+  clampResolution,
+  toPublicPlan,
+};
@@ -0,0 +1,95 @@
+/**
+ * Prompt templates for dance styles
+ *
+ * Templates use {{name}} or {{name|fallback}} placeholders. Available variables:
+ *   style, petName, species, background, tempo, petCount (multi-pet jobs only)
+ *
+ * Multi-pet jobs get GROUP_PROMPT appended unless the template uses {{petCount}} itself.
+ *
+ * A style can override its prompt per model via `modelPrompts`, keyed by full model id
+ * ("minimax/hailuo-2.3-fast") or adapter id ("hailuo"):
+ *   modelPrompts: { hailuo: { promptTemplate: '...', negativePrompt: '...' } }
+ */
+
+const PROMPT_VAR_MAX_LENGTH = 40;
+const PROMPT_VARS = ['petName', 'species', 'background'];
+const GROUP_PROMPT = 'all {{petCount}} pets from the photo dancing together side by side, every pet in frame';
+
+/**
+ * Fill {{var}} / {{var|fallback}} placeholders. Missing variables render as the fallback or ''.
+ */
+function renderTemplate(template, vars) {
+  const rendered = String(template || '').replace(
+    /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g,
+    (match, name, fallback) => {
+      const value = vars[name];
+      return value != null && value !== '' ? String(value) : (fallback || '').trim();
+    }
+  );
+  // Tidy up gaps left by empty variables
+  return rendered
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.])/g, '$1')
+    .replace(/,(\s*,)+/g, ',')
+    .replace(/^[\s,]+|[\s,]+$/g, '');
+}
+
+/**
+ * Sanitize client-supplied prompt variables (pet name, species, background)
+ * @returns {object} Only known, non-empty, trimmed values
+ */
+function sanitizePromptVars(input) {
+  const vars = {};
+  if (!input || typeof input !== 'object') return vars;
+  for (const key of PROMPT_VARS) {
+    const value = input[key];
+    if (typeof value !== 'string') continue;
+    const clean = value.replace(/[^\p{L}\p{N} '-]/gu, '').trim().slice(0, PROMPT_VAR_MAX_LENGTH);
+    if (clean) vars[key] = clean;
+  }
+  return vars;
+}
+
+/**
+ * Build the prompt (and negative prompt, if the model takes one) for a style on a model
+ * @param {object} style - Normalized style from helpers/styles
+ * @param {object} adapter - Model adapter from helpers/models
+ * @param {string} modelId - Full Replicate model id
+ * @param {object} [promptVars] - Sanitized job variables (petName, species, background),
+ *   plus petCount for multi-pet jobs
+ * @param {object} [overrides] - { promptTemplate, negativePrompt } for dry runs
+ * @returns {{ prompt: string, negativePrompt: string|null }}
+ */
+function buildStylePrompt(style, adapter, modelId, promptVars = {}, overrides = {}) {
+  const modelPrompts = style.modelPrompts || {};
+  const modelOverride = modelPrompts[modelId] || modelPrompts[adapter.id] || {};
+
+  const template = overrides.promptTemplate || modelOverride.promptTemplate || style.promptTemplate;
+  const negativeTemplate = overrides.negativePrompt != null
+    ? overrides.negativePrompt
+    : (modelOverride.negativePrompt != null ? modelOverride.negativePrompt : style.negativePrompt);
+
+  const vars = {
+    style: style.label.toLowerCase(),
+    tempo: style.musicTempo,
+    ...promptVars,
+  };
+
+  let prompt = renderTemplate(template, vars);
+  if (vars.petCount > 1 && !/\{\{\s*petCount\b/.test(template)) {
+    prompt = `${prompt}, ${renderTemplate(GROUP_PROMPT, vars)}`;
+  }
+
+  return {
+    prompt,
+    negativePrompt: adapter.supportsNegativePrompt && negativeTemplate
+      ? renderTemplate(negativeTemplate, vars) || null
+      : null,
+  };
+}
+
+module.exports = {
+  renderTemplate,
+  sanitizePromptVars,
+  buildStylePrompt,
+};
@@ -0,0 +1,69 @@
+/**
+ * Export formats for finished videos
+ *
+ * Each rendition fits the video into a fixed frame. When the aspect ratios are close the
+ * video is scaled and center-cropped; otherwise it is scaled to fit and the empty space is
+ * filled with a blurred, zoomed copy of the video (no black bars). Audio is copied.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { ffmpeg, probeVideo, withTempDir } = require('./video-previews');
+
+const RENDITIONS = {
+  vertical: { aspect: '9:16', width: 720, height: 1280, suffix: '9x16' }, // Reels, TikTok, Shorts
+  square: { aspect: '1:1', width: 720, height: 720, suffix: '1x1' },
+  landscape: { aspect: '16:9', width: 1280, height: 720, suffix: '16x9' },
+};
+
+// Crop instead of blur-fill when the aspect ratios differ by less than this
+const CROP_TOLERANCE = 0.06;
+const BLUR_RADIUS = 24;
+
+/**
+ * ffmpeg filter graph fitting a video of sourceWidth x sourceHeight into spec
+ */
+function renditionFilter(spec, sourceWidth, sourceHeight) {
+  const { width: w, height: h } = spec;
+  const mismatch = Math.abs((sourceWidth / sourceHeight) / (w / h) - 1);
+  const fill = `scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h}`;
+  if (mismatch < CROP_TOLERANCE) {
+    return `[0:v]${fill},setsar=1[out]`;
+  }
+  return [
+    '[0:v]split=2[bg][fg]',
+    `[bg]${fill},boxblur=${BLUR_RADIUS}:2[blurred]`,
+    `[fg]scale=${w}:${h}:force_original_aspect_ratio=decrease[fitted]`,
+    '[blurred][fitted]overlay=(W-w)/2:(H-h)/2,setsar=1[out]',
+  ].join(';');
+}
+
+/**
+ * Render one export format of an MP4
+ * @param {Buffer} videoBuffer
+ * @param {string} name - Key of RENDITIONS
+ * @returns {Promise<Buffer>}
+ */
+async function renderRendition(videoBuffer, name) {
+  const spec = RENDITIONS[name];
+  return withTempDir(async (dir) => {
+    const input = path.join(dir, 'input.mp4');
+    const output = path.join(dir, `${name}.mp4`);
+    await fs.writeFile(input, videoBuffer);
+    const source = await probeVideo(input);
+    await ffmpeg([
+      '-i', input,
+      '-filter_complex', renditionFilter(spec, source.width, source.height),
+      '-map', '[out]', '-map', '0:a?', '-c:a', 'copy',
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '21', '-pix_fmt', 'yuv420p',
+      '-movflags', '+faststart',
+      output,
+    ]);
+    return fs.readFile(output);
+  });
+}
+
+module.exports = {
+  RENDITIONS,
+  renderRendition,
+};
@@ -3,35 +3,37 @@
  * Docs: https://replicate.com/docs/reference/http
  */
 
-const REPLICATE_API_BASE = 'https://api.replicate.com/v1';
+const { getAdapter, resolveOutputOptions } = require('./models');
 
-// Valid image MIME types
-const VALID_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-const MAX_IMAGE_SIZE_BYTES = 10 * 1024 * 1024; // 10MB
+const REPLICATE_API_BASE = 'https://api.replicate.com/v1';
 
 /**
- * Validate image before processing
+ * Build the Replicate input for a model without submitting anything
+ * Input shape comes from the model's adapter (see helpers/models) - add an adapter
+ * module there to support a new model.
+ * options: { duration, resolution, prompt, negativePrompt } - unsupported duration/resolution
+ * fall back to adapter defaults; negativePrompt is dropped for models that don't take one
  */
-function validateImage(imageUrl, contentType, contentLength) {
-  if (!VALID_IMAGE_TYPES.includes(contentType?.toLowerCase()) &&
-      !imageUrl?.match(/\.(jpg|jpeg|png|webp)$/i)) {
-    throw new Error(`Invalid image type. Allowed: ${VALID_IMAGE_TYPES.join(', ')}`);
-  }
-  if (contentLength && contentLength > MAX_IMAGE_SIZE_BYTES) {
-    throw new Error(`Image too large. Maximum size: ${MAX_IMAGE_SIZE_BYTES / 1024 / 1024}MB`);
-  }
+function buildPredictionInput(imageUrl, danceStyle, modelConfig, options = {}) {
+  const adapter = getAdapter(modelConfig);
+  const { duration, resolution } = resolveOutputOptions(adapter, options);
+  const input = adapter.buildInput({
+    imageUrl,
+    danceStyle,
+    duration,
+    resolution,
+    prompt: options.prompt,
+    negativePrompt: adapter.supportsNegativePrompt ? options.negativePrompt : undefined,
+  });
+  return { adapter: adapter.id, duration, resolution, input };
 }
 
 /**
  * Create a Replicate prediction for pet dancing video
  * Uses configurable model via REPLICATE_MODEL env var
- * 
- * Recommended models for image-to-video animation:
- * - minimax/video-01 (general video gen, uses prompt + image)
- * - stability-ai/stable-video-diffusion (image to video)
- * - Custom model with image input
+ * options: see buildPredictionInput
  */
-async function createPrediction(imageUrl, danceStyle, webhookUrl, apiToken, modelConfig) {
+async function createPrediction(imageUrl, danceStyle, webhookUrl, apiToken, modelConfig, options = {}) {
   apiToken = apiToken || process.env.REPLICATE_API_TOKEN;
   if (!apiToken) {
     throw new Error('REPLICATE_API_TOKEN is not configured');
@@ -44,32 +46,7 @@ async function createPrediction(imageUrl, danceStyle, webhookUrl, apiToken, mode
     version = await getModelVersion(modelConfig);
   }
 
-  // minimax/hailuo-2.3-fast: first_frame_image, prompt, duration, resolution
-  // minimax/video-01: image, prompt
-  // stability-ai/stable-video-diffusion: image, motion_bucket_id, fps
-  let input;
-  if (modelConfig.includes('hailuo')) {
-    input = {
-      first_frame_image: imageUrl,
-      prompt: `A cute pet dancing in ${danceStyle} style, smooth motion, professional quality`,
-      duration: 6,
-      resolution: '768p',
-      prompt_optimizer: true,
-    };
-  } else if (modelConfig.startsWith('minimax/')) {
-    input = {
-      prompt: `A cute pet dancing in ${danceStyle} style, smooth motion, professional quality`,
-      image: imageUrl,
-    };
-  } else if (modelConfig.startsWith('stability-ai/')) {
-    input = {
-      image: imageUrl,
-      motion_bucket_id: 127,
-      fps: 6,
-    };
-  } else {
-    input = { image: imageUrl, prompt: `Pet dancing in ${danceStyle} style` };
-  }
+  const { input } = buildPredictionInput(imageUrl, danceStyle, modelConfig, options);
 
   const payload = {
     version,
@@ -94,6 +71,50 @@ async function createPrediction(imageUrl, danceStyle, webhookUrl, apiToken, mode
   return response.json();
 }
 
+/**
+ * Fetch a prediction's current state (used to reconcile jobs whose webhook never arrived)
+ * @returns {Promise<{ id, status, output, error }>} status: starting|processing|succeeded|failed|canceled
+ */
+async function getPrediction(predictionId, apiToken) {
+  apiToken = apiToken || process.env.REPLICATE_API_TOKEN;
+  if (!apiToken) {
+    throw new Error('REPLICATE_API_TOKEN is not configured');
+  }
+
+  const response = await fetch(`${REPLICATE_API_BASE}/predictions/${encodeURIComponent(predictionId)}`, {
+    headers: { 'Authorization': `Bearer ${apiToken}` },
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Replicate API error: ${response.status} - ${error}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Cancel a running prediction. Replicate sends a `canceled` webhook afterwards.
+ */
+async function cancelPrediction(predictionId, apiToken) {
+  apiToken = apiToken || process.env.REPLICATE_API_TOKEN;
+  if (!apiToken) {
+    throw new Error('REPLICATE_API_TOKEN is not configured');
+  }
+
+  const response = await fetch(`${REPLICATE_API_BASE}/predictions/${encodeURIComponent(predictionId)}/cancel`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${apiToken}` },
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Replicate API error: ${response.status} - ${error}`);
+  }
+
+  return response.json();
+}
+
 /**
  * Get latest model version if not specified
  */
@@ -155,9 +176,9 @@ function verifyWebhookSignature(body, webhookId, timestamp, signature, secret) {
 }
 
 module.exports = {
-  validateImage,
+  buildPredictionInput,
   createPrediction,
+  getPrediction,
+  cancelPrediction,
   verifyWebhookSignature,
-  VALID_IMAGE_TYPES,
-  MAX_IMAGE_SIZE_BYTES,
 };
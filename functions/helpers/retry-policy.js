@@ -0,0 +1,88 @@
+/**
+ * Retry policy for failed Replicate predictions
+ *
+ * Transient failures (timeouts, GPU OOM, capacity, 5xx) are retried with exponential
+ * backoff; anything else (safety filter, bad input) fails immediately.
+ *
+ * Env:
+ *   JOB_RETRY_MAX_ATTEMPTS        total attempts including the first (default 3, 1 = no retries)
+ *   JOB_RETRY_BASE_DELAY_SECONDS  delay before the first retry, doubled each time (default 30)
+ *   JOB_RETRY_FALLBACK_MODEL      optional model for the last attempt (e.g. a more reliable one)
+ */
+
+const RETRY_MAX_DELAY_SECONDS = 15 * 60;
+
+const TRANSIENT_PATTERNS = [
+  /timed? ?out/i,
+  /out of memory|CUDA|OOM/i,
+  /rate limit|too many requests|\b429\b/i,
+  /\b50[0234]\b|internal server error|bad gateway|service unavailable/i,
+  /temporarily|try again|capacity|overloaded|no available|unavailable/i,
+  /ECONNRESET|ETIMEDOUT|connection (reset|refused|closed)|network/i,
+];
+
+const PERMANENT_PATTERNS = [
+  /nsfw|safety|flagged|sensitive|content policy|moderation/i,
+  /invalid|unsupported|cannot identify image|could not (read|decode)/i,
+];
+
+function retryConfig() {
+  return {
+    maxAttempts: Math.max(1, Number(process.env.JOB_RETRY_MAX_ATTEMPTS) || 3),
+    baseDelaySeconds: Number(process.env.JOB_RETRY_BASE_DELAY_SECONDS) || 30,
+    fallbackModel: process.env.JOB_RETRY_FALLBACK_MODEL || null,
+  };
+}
+
+/**
+ * Classify Replicate's error text
+ * @returns {'transient'|'permanent'}
+ */
+function classifyReplicateError(errorText) {
+  const text = String(errorText || '');
+  if (PERMANENT_PATTERNS.some((re) => re.test(text))) return 'permanent';
+  if (!text || TRANSIENT_PATTERNS.some((re) => re.test(text))) return 'transient';
+  return 'permanent';
+}
+
+/**
+ * Delay before retrying after `failedAttempt` (1-based): base * 2^(n-1), ±20% jitter, capped
+ */
+function backoffDelaySeconds(failedAttempt, baseDelaySeconds) {
+  const delay = baseDelaySeconds * Math.pow(2, failedAttempt - 1);
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.min(RETRY_MAX_DELAY_SECONDS, Math.round(delay + jitter));
+}
+
+/**
+ * Decide whether a failed attempt should be retried
+ * @param {object} job - Job data (attemptCount, replicateModel)
+ * @param {string} errorText - Replicate's error
+ * @returns {{ classification: string, retry: null | { attempt: number, retryAt: Date, model: string } }}
+ */
+function planRetry(job, errorText) {
+  const { maxAttempts, baseDelaySeconds, fallbackModel } = retryConfig();
+  const classification = classifyReplicateError(errorText);
+  const failedAttempt = job.attemptCount || 1;
+
+  if (classification !== 'transient' || failedAttempt >= maxAttempts) {
+    return { classification, retry: null };
+  }
+
+  const attempt = failedAttempt + 1;
+  const useFallback = fallbackModel && attempt === maxAttempts;
+  return {
+    classification,
+    retry: {
+      attempt,
+      retryAt: new Date(Date.now() + backoffDelaySeconds(failedAttempt, baseDelaySeconds) * 1000),
+      model: useFallback ? fallbackModel : job.replicateModel,
+    },
+  };
+}
+
+module.exports = {
+  retryConfig,
+  classifyReplicateError,
+  planRetry,
+};
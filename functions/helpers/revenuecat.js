@@ -1,22 +1,39 @@
 /**
- * RevenueCat API helper for subscription validation
- * Docs: https://www.revenuecat.com/docs/api-v1
+ * RevenueCat API helper for subscription validation and webhook events
+ * Docs: https://www.revenuecat.com/docs/api-v1, https://www.revenuecat.com/docs/integrations/webhooks
  */
 
+const crypto = require('crypto');
+const { DEFAULT_PAID_PLAN, FREE_PLAN, planForEntitlements } = require('./plans');
+
 const REVENUECAT_API_BASE = 'https://api.revenuecat.com/v1';
+const REVENUECAT_TIMEOUT_MS = Number(process.env.REVENUECAT_TIMEOUT_MS) || 3000;
+
+/** RevenueCat couldn't be asked (error response, network error or timeout) */
+class RevenueCatError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'RevenueCatError';
+    this.status = status || null;
+  }
+}
 
 /**
- * Validate user subscription via RevenueCat Web API
+ * Validate user subscription via RevenueCat Web API. Callers normally go through
+ * helpers/subscription-cache, which caches the result on the user doc.
  * @param {string} revenuecatUserId - The RevenueCat app user ID (typically Firebase UID)
- * @returns {Promise<{hasAccess: boolean, subscriptionStatus: string}>}
+ * @returns {Promise<{hasAccess: boolean, subscriptionStatus: string, plan: string}>} plan is a
+ *   key of helpers/plans PLANS - the highest one whose entitlement is active
+ * @throws {RevenueCatError} if the lookup fails - a failure is not "no subscription"
  */
 async function validateSubscription(revenuecatUserId, secretKey) {
   secretKey = secretKey || process.env.REVENUECAT_SECRET_KEY;
   if (!secretKey) {
     console.warn('REVENUECAT_SECRET_KEY not set - allowing request (dev mode)');
-    return { hasAccess: true, subscriptionStatus: 'active' };
+    return { hasAccess: true, subscriptionStatus: 'active', plan: 'premium' };
   }
 
+  let data;
   try {
     const response = await fetch(
       `${REVENUECAT_API_BASE}/subscribers/${encodeURIComponent(revenuecatUserId)}`,
@@ -25,60 +42,134 @@ async function validateSubscription(revenuecatUserId, secretKey) {
           'Authorization': `Bearer ${secretKey}`,
           'Content-Type': 'application/json',
         },
+        signal: AbortSignal.timeout(REVENUECAT_TIMEOUT_MS),
       }
     );
 
     if (!response.ok) {
       const errorText = await response.text();
       console.error('RevenueCat API error:', response.status, errorText);
-      return { hasAccess: false, subscriptionStatus: 'none' };
+      throw new RevenueCatError(`RevenueCat API error ${response.status}`, response.status);
     }
+    data = await response.json();
+  } catch (error) {
+    if (error instanceof RevenueCatError) throw error;
+    console.error('RevenueCat validation error:', error);
+    throw new RevenueCatError(error.name === 'TimeoutError'
+      ? `RevenueCat timed out after ${REVENUECAT_TIMEOUT_MS}ms`
+      : `RevenueCat request failed: ${error.message}`);
+  }
 
-    const data = await response.json();
-    const subscriber = data.subscriber || data;
-
-    // Check entitlements - REVENUECAT_ENTITLEMENT_ID must match RevenueCat dashboard (e.g. "pro")
-    const entitlementId = (process.env.REVENUECAT_ENTITLEMENT_ID || 'pro').toLowerCase();
-    const entitlements = subscriber.entitlements || {};
-    const entitlement = entitlements[entitlementId] || Object.entries(entitlements).find(
-      ([k]) => k.toLowerCase() === entitlementId
-    )?.[1];
-
-    // Active if: entitlement exists AND (expires_date is null = lifetime, OR expires_date > now)
-    const hasEntitlement = !!entitlement;
-    let isActiveFromEntitlement = hasEntitlement && (
-      entitlement.expires_date == null ||
-      new Date(entitlement.expires_date) > new Date()
-    );
+  const subscriber = data.subscriber || data;
 
-    // Fallback: check subscriptions object (Web Billing / Stripe) - any active sub = active
-    let isActiveFromSubscriptions = false;
-    const subs = subscriber.subscriptions || {};
-    for (const sub of Object.values(subs)) {
-      if (sub && (sub.expires_date == null || new Date(sub.expires_date) > new Date())) {
-        isActiveFromSubscriptions = true;
-        break;
-      }
+  // Check entitlements - plan entitlement ids (helpers/plans) must match the RevenueCat dashboard
+  // Active if: expires_date is null (lifetime) OR expires_date > now
+  const activeEntitlements = Object.entries(subscriber.entitlements || {})
+    .filter(([, e]) => e && (e.expires_date == null || new Date(e.expires_date) > new Date()))
+    .map(([id]) => id);
+  const entitlementPlan = planForEntitlements(activeEntitlements);
+  const isActiveFromEntitlement = !!entitlementPlan;
+
+  // Fallback: check subscriptions object (Web Billing / Stripe) - any active sub = active
+  let isActiveFromSubscriptions = false;
+  const subs = subscriber.subscriptions || {};
+  for (const sub of Object.values(subs)) {
+    if (sub && (sub.expires_date == null || new Date(sub.expires_date) > new Date())) {
+      isActiveFromSubscriptions = true;
+      break;
     }
+  }
 
-    const isActive = isActiveFromEntitlement || isActiveFromSubscriptions;
+  const isActive = isActiveFromEntitlement || isActiveFromSubscriptions;
 
-    // Use 'trial' only when in actual trial period (period_type); otherwise active paid = 'active'
-    const subsList = Object.values(subs);
-    const inTrialPeriod = subsList.some(s => s?.period_type === 'trial');
-    const subscriptionStatus = isActive
-      ? (inTrialPeriod ? 'trial' : 'active')
-      : 'none';
+  // Use 'trial' only when in actual trial period (period_type); otherwise active paid = 'active'
+  const subsList = Object.values(subs);
+  const inTrialPeriod = subsList.some(s => s?.period_type === 'trial');
+  const subscriptionStatus = isActive
+    ? (inTrialPeriod ? 'trial' : 'active')
+    : 'none';
 
-    return {
-      hasAccess: isActive,
-      subscriptionStatus,
-      managementUrl: subscriber.management_url || null,
-    };
-  } catch (error) {
-    console.error('RevenueCat validation error:', error);
-    return { hasAccess: false, subscriptionStatus: 'none' };
+  return {
+    hasAccess: isActive,
+    subscriptionStatus,
+    // A subscription without a known entitlement gets the entry plan
+    plan: isActive ? entitlementPlan || DEFAULT_PAID_PLAN : FREE_PLAN,
+    managementUrl: subscriber.management_url || null,
+  };
+}
+
+/**
+ * Check a webhook's Authorization header against the value set for the webhook in the
+ * RevenueCat dashboard (sent verbatim; "Bearer <value>" is accepted too)
+ * @param {string} header - Authorization request header
+ * @param {string} expected - REVENUECAT_WEBHOOK_AUTH
+ */
+function verifyWebhookAuthorization(header, expected) {
+  if (!header || !expected) return false;
+  const matches = (value) => {
+    const a = Buffer.from(String(header));
+    const b = Buffer.from(value);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  };
+  return matches(expected) || matches(`Bearer ${expected}`);
+}
+
+/**
+ * App user ids a webhook event may belong to, most specific first. Anonymous RevenueCat ids
+ * never match a Firebase UID, so they are left out.
+ * @param {object} event - Webhook payload's `event`
+ * @returns {string[]}
+ */
+function eventUserIds(event) {
+  const ids = [event.app_user_id, event.original_app_user_id, ...(event.aliases || [])];
+  return [...new Set(ids.filter((id) => id && !String(id).startsWith('$RCAnonymousID:')))];
+}
+
+/**
+ * users/{uid} fields for a subscription webhook event
+ * - INITIAL_PURCHASE, RENEWAL, UNCANCELLATION: subscribed - plan from the event's entitlements
+ * - CANCELLATION: won't renew, but stays subscribed until it expires (refunds expire at once)
+ * - EXPIRATION: back to free
+ * - BILLING_ISSUE: payment failed - still subscribed during the store's grace period
+ * PRODUCT_CHANGE may only apply at renewal, so the event alone doesn't say which plan is
+ * current: it returns null here and the caller looks the subscriber up instead.
+ * @param {object} event - Webhook payload's `event`
+ * @returns {object|null} Fields to merge, or null if the event doesn't say
+ */
+function subscriptionFieldsForEvent(event) {
+  const expiresAt = event.expiration_at_ms ? new Date(event.expiration_at_ms) : null;
+  const eventAt = event.event_timestamp_ms ? new Date(event.event_timestamp_ms) : new Date();
+  const expired = { subscriptionStatus: 'none', plan: FREE_PLAN, willRenew: false, billingIssueAt: null };
+
+  switch (event.type) {
+    case 'INITIAL_PURCHASE':
+    case 'RENEWAL':
+    case 'UNCANCELLATION': {
+      const entitlementIds = event.entitlement_ids || (event.entitlement_id ? [event.entitlement_id] : []);
+      return {
+        subscriptionStatus: event.period_type === 'TRIAL' ? 'trial' : 'active',
+        plan: planForEntitlements(entitlementIds) || DEFAULT_PAID_PLAN,
+        subscriptionExpiresAt: expiresAt,
+        willRenew: true,
+        billingIssueAt: null,
+      };
+    }
+    case 'CANCELLATION':
+      if (expiresAt && expiresAt <= eventAt) return { ...expired, subscriptionExpiresAt: expiresAt };
+      return { willRenew: false, subscriptionExpiresAt: expiresAt };
+    case 'EXPIRATION':
+      return { ...expired, subscriptionExpiresAt: expiresAt };
+    case 'BILLING_ISSUE':
+      return { billingIssueAt: eventAt };
+    default:
+      return null;
   }
 }
 
-module.exports = { validateSubscription };
+module.exports = {
+  RevenueCatError,
+  validateSubscription,
+  verifyWebhookAuthorization,
+  eventUserIds,
+  subscriptionFieldsForEvent,
+};
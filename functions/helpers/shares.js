@@ -0,0 +1,104 @@
+/**
+ * Public share links - Firestore `shares` collection
+ *
+ * Doc id is the share id (128 random bits, url-safe). Fields:
+ *   jobId, userId, createdAt, revokedAt (null while active), viewCount, lastViewedAt
+ * A job points at its active share via job.shareId.
+ *
+ * Links look like https://<site>/s/<shareId>. Hosting rewrites /s/** to the api function,
+ * which answers with Open Graph / Twitter card tags for link previews (crawlers don't run
+ * JS) and sends browsers on to share.html, which plays the video.
+ *
+ * Env: PUBLIC_BASE_URL (default https://<project>.web.app)
+ */
+
+const crypto = require('crypto');
+
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+function newShareId() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+function isShareId(value) {
+  return typeof value === 'string' && SHARE_ID_PATTERN.test(value);
+}
+
+function publicBaseUrl() {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  const projectId = process.env.GCLOUD_PROJECT
+    || (process.env.FIREBASE_CONFIG ? JSON.parse(process.env.FIREBASE_CONFIG).projectId : null);
+  return `https://${projectId}.web.app`;
+}
+
+function shareUrl(shareId) {
+  return `${publicBaseUrl()}/s/${shareId}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;',
+  })[c]);
+}
+
+/**
+ * Link preview document for /s/:shareId - meta tags for crawlers, redirect for people
+ * @param {object} opts
+ * @param {string} opts.shareId
+ * @param {string} opts.title
+ * @param {string} opts.description
+ * @param {string} [opts.imageUrl] - Poster frame
+ * @param {string} [opts.videoUrl]
+ * @param {number} [opts.width]
+ * @param {number} [opts.height]
+ */
+function renderSharePreview({ shareId, title, description, imageUrl, videoUrl, width, height }) {
+  const pageUrl = shareUrl(shareId);
+  const playerUrl = `${publicBaseUrl()}/share.html?id=${encodeURIComponent(shareId)}`;
+  const meta = [
+    ['property', 'og:type', videoUrl ? 'video.other' : 'website'],
+    ['property', 'og:site_name', 'PetDance'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', pageUrl],
+    ['property', 'og:image', imageUrl],
+    ['property', 'og:video', videoUrl],
+    ['property', 'og:video:secure_url', videoUrl],
+    ['property', 'og:video:type', videoUrl && 'video/mp4'],
+    ['property', 'og:video:width', videoUrl && width],
+    ['property', 'og:video:height', videoUrl && height],
+    ['name', 'twitter:card', videoUrl ? 'player' : 'summary_large_image'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', imageUrl],
+    ['name', 'twitter:player', videoUrl && playerUrl],
+    ['name', 'twitter:player:width', videoUrl && (width || 720)],
+    ['name', 'twitter:player:height', videoUrl && (height || 720)],
+  ]
+    .filter(([, , content]) => content)
+    .map(([attr, key, content]) => `<meta ${attr}="${key}" content="${escapeHtml(content)}">`)
+    .join('\n    ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    ${meta}
+    <link rel="canonical" href="${escapeHtml(pageUrl)}">
+    <meta http-equiv="refresh" content="0; url=${escapeHtml(playerUrl)}">
+</head>
+<body>
+    <p><a href="${escapeHtml(playerUrl)}">Watch the video on PetDance</a></p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  newShareId,
+  isShareId,
+  publicBaseUrl,
+  shareUrl,
+  renderSharePreview,
+};
@@ -0,0 +1,62 @@
+/**
+ * Background music for finished videos
+ *
+ * A style can name a licensed, royalty-free track in Storage (style.soundtrack.path, picked
+ * to match the style's musicTempo). On completion the clip starting at startSeconds is cut
+ * to the video's length, faded in/out, set to the style's volume and muxed in as AAC. The
+ * video stream is copied, not re-encoded. Short tracks loop.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { ffmpeg, probeVideo, withTempDir } = require('./video-previews');
+
+const DEFAULT_VOLUME = 0.8;
+const FADE_IN_SECONDS = 0.3;
+const FADE_OUT_SECONDS = 1.5;
+const AUDIO_BITRATE = '160k';
+
+/**
+ * Mux a music clip into a (silent) MP4
+ * @param {Buffer} videoBuffer
+ * @param {Buffer} trackBuffer - Any format ffmpeg reads (mp3, m4a, wav...)
+ * @param {{ startSeconds?: number, volume?: number }} [opts]
+ * @returns {Promise<Buffer>} MP4 with the music as its only audio track
+ */
+async function mixSoundtrack(videoBuffer, trackBuffer, { startSeconds = 0, volume = DEFAULT_VOLUME } = {}) {
+  return withTempDir(async (dir) => {
+    const input = path.join(dir, 'input.mp4');
+    const track = path.join(dir, 'track');
+    const output = path.join(dir, 'output.mp4');
+    await Promise.all([fs.writeFile(input, videoBuffer), fs.writeFile(track, trackBuffer)]);
+
+    const { durationSeconds } = await probeVideo(input);
+    if (!durationSeconds) {
+      throw new Error('Video duration unknown');
+    }
+    const fadeOut = Math.min(FADE_OUT_SECONDS, durationSeconds / 4);
+    const envelope = [
+      `atrim=0:${durationSeconds}`,
+      'asetpts=PTS-STARTPTS',
+      `afade=t=in:st=0:d=${FADE_IN_SECONDS}`,
+      `afade=t=out:st=${(durationSeconds - fadeOut).toFixed(2)}:d=${fadeOut.toFixed(2)}`,
+      `volume=${volume}`,
+    ].join(',');
+
+    await ffmpeg([
+      '-i', input,
+      '-stream_loop', '-1', '-ss', String(startSeconds), '-i', track,
+      '-filter_complex', `[1:a]${envelope}[music]`,
+      '-map', '0:v', '-map', '[music]',
+      '-c:v', 'copy', '-c:a', 'aac', '-b:a', AUDIO_BITRATE,
+      '-shortest', '-movflags', '+faststart',
+      output,
+    ]);
+    return fs.readFile(output);
+  });
+}
+
+module.exports = {
+  DEFAULT_VOLUME,
+  mixSoundtrack,
+};
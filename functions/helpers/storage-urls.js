@@ -0,0 +1,64 @@
+/**
+ * V4 signed URLs for Storage objects
+ *
+ * Signed URLs expire and can't outlive a deleted object, unlike Firebase download-token
+ * URLs. GCS serves Range requests on them, so inline URLs stream (and seek) in a <video>.
+ * Signing needs the Service Account Token Creator role on the functions' service account.
+ */
+
+const MAX_TTL_MINUTES = 7 * 24 * 60; // V4 limit
+
+/**
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ * @param {string} path - Object path
+ * @param {object} opts
+ * @param {number} opts.ttlMinutes - Clamped to the V4 maximum of 7 days
+ * @param {'attachment'|'inline'} [opts.disposition] - Sets Content-Disposition on the response
+ * @param {string} [opts.filename] - Download filename (with disposition)
+ * @param {string} [opts.contentType] - Overrides the response Content-Type
+ * @returns {Promise<{ url: string, expiresAt: Date }>}
+ */
+async function signedReadUrl(bucket, path, { ttlMinutes, disposition, filename, contentType }) {
+  const expiresAt = new Date(Date.now() + Math.min(ttlMinutes, MAX_TTL_MINUTES) * 60 * 1000);
+  const [url] = await bucket.file(path).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires: expiresAt,
+    ...(disposition && {
+      responseDisposition: filename ? `${disposition}; filename="${filename}"` : disposition,
+    }),
+    ...(contentType && { responseType: contentType }),
+  });
+  return { url, expiresAt };
+}
+
+/**
+ * True if `path` is an object inside `folder` (a prefix ending in "/"). Paths read from
+ * Firestore are checked with this before they are signed.
+ * @param {string} path
+ * @param {string} folder - e.g. "outputs/{userId}/{jobId}/"
+ */
+function isInFolder(path, folder) {
+  return typeof path === 'string'
+    && path.length > folder.length
+    && path.startsWith(folder)
+    && !path.split('/').includes('..');
+}
+
+/**
+ * Friendly file name for a job's video: petdance-<style>-<yyyy-mm-dd>[-<suffix>].mp4
+ * @param {object} job
+ * @param {{ suffix?: string }} [opts] - Variant, e.g. "no-music" or "9x16"
+ */
+function videoFilename(job, { suffix } = {}) {
+  const style = String(job.danceStyle || 'dance').toLowerCase().replace(/[^a-z0-9-]/g, '') || 'dance';
+  const date = job.completedAt?.toDate?.() || new Date();
+  return `petdance-${style}-${date.toISOString().slice(0, 10)}${suffix ? `-${suffix}` : ''}.mp4`;
+}
+
+module.exports = {
+  MAX_TTL_MINUTES,
+  isInFolder,
+  signedReadUrl,
+  videoFilename,
+};
@@ -0,0 +1,100 @@
+/**
+ * Dance style catalog - Firestore `styles` collection
+ *
+ * Doc id is the style id. Fields:
+ *   label, emoji, description, promptTemplate, negativePrompt, musicTempo, modelPrompts,
+ *   previewVideoPath, soundtrack, proOnly (bool), sortOrder (number), enabled (bool)
+ * Prompt fields are rendered by helpers/prompts. soundtrack is the background music mixed
+ * into finished videos (helpers/soundtrack):
+ *   { path: 'music/hip-hop.mp3', startSeconds?: number, volume?: number, credit?: string }
+ *
+ * Falls back to DEFAULT_STYLES when the collection is empty (fresh project).
+ * Seed it with: node scripts/seed-styles.js
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_PROMPT_TEMPLATE = 'A cute {{species|pet}} dancing in {{style}} style, smooth motion, professional quality';
+const DEFAULT_NEGATIVE_PROMPT = 'blurry, distorted anatomy, extra limbs, text, watermark';
+
+const DEFAULT_STYLES = [
+  { id: 'hip-hop', label: 'Hip Hop', emoji: '🎤', description: 'Cool urban moves', musicTempo: 'groovy', sortOrder: 10 },
+  { id: 'ballet', label: 'Ballet', emoji: '🩰', description: 'Graceful and elegant', musicTempo: 'slow', sortOrder: 20 },
+  { id: 'disco', label: 'Disco', emoji: '🕺', description: 'Funky 70s vibes', musicTempo: 'upbeat', sortOrder: 30 },
+  { id: 'breakdance', label: 'Breakdance', emoji: '🤸', description: 'High-energy moves', musicTempo: 'fast', sortOrder: 40 },
+  { id: 'salsa', label: 'Salsa', emoji: '💃', description: 'Latin rhythm', musicTempo: 'lively', sortOrder: 50 },
+  { id: 'robot', label: 'Robot', emoji: '🤖', description: 'Mechanical precision', musicTempo: 'steady', sortOrder: 60 },
+].map((style) => normalizeStyle(style.id, { ...style, soundtrack: { path: `music/${style.id}.mp3` } }));
+
+let cache = null;
+
+function normalizeStyle(id, data) {
+  return {
+    id,
+    label: data.label || id,
+    emoji: data.emoji || '🐾',
+    description: data.description || '',
+    promptTemplate: data.promptTemplate || DEFAULT_PROMPT_TEMPLATE,
+    negativePrompt: data.negativePrompt != null ? data.negativePrompt : DEFAULT_NEGATIVE_PROMPT,
+    musicTempo: data.musicTempo || null,
+    modelPrompts: data.modelPrompts || {},
+    previewVideoPath: data.previewVideoPath || null,
+    soundtrack: data.soundtrack?.path
+      ? {
+        path: data.soundtrack.path,
+        startSeconds: Number(data.soundtrack.startSeconds) || 0,
+        volume: typeof data.soundtrack.volume === 'number' ? data.soundtrack.volume : null,
+        credit: data.soundtrack.credit || null,
+      }
+      : null,
+    proOnly: data.proOnly === true,
+    sortOrder: typeof data.sortOrder === 'number' ? data.sortOrder : 0,
+    enabled: data.enabled !== false,
+  };
+}
+
+/**
+ * All styles sorted by sortOrder (cached per instance for CACHE_TTL_MS)
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ includeDisabled?: boolean }} [opts]
+ */
+async function listStyles(db, { includeDisabled = false } = {}) {
+  if (!cache || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    const snapshot = await db.collection('styles').get();
+    const styles = snapshot.empty
+      ? DEFAULT_STYLES
+      : snapshot.docs.map((doc) => normalizeStyle(doc.id, doc.data()));
+    styles.sort((a, b) => a.sortOrder - b.sortOrder || a.id.localeCompare(b.id));
+    cache = { styles, loadedAt: Date.now() };
+  }
+  return includeDisabled ? cache.styles : cache.styles.filter((s) => s.enabled);
+}
+
+/**
+ * Look up an enabled style by id, or null
+ */
+async function getStyle(db, styleId) {
+  const styles = await listStyles(db);
+  return styles.find((s) => s.id === styleId) || null;
+}
+
+/**
+ * Public fields only - prompt fields stay server-side
+ */
+function toPublicStyle(style) {
+  return {
+    id: style.id,
+    label: style.label,
+    emoji: style.emoji,
+    description: style.description,
+    previewVideoPath: style.previewVideoPath,
+    proOnly: style.proOnly,
+  };
+}
+
+module.exports = {
+  DEFAULT_STYLES,
+  listStyles,
+  getStyle,
+  toPublicStyle,
+};
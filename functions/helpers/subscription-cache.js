@@ -0,0 +1,165 @@
+/**
+ * Cached RevenueCat subscription view on the user doc
+ *
+ * Every successful RevenueCat lookup is written to users/{uid} (subscriptionStatus, plan,
+ * managementUrl) with subscriptionCheckedAt. Job requests then read the user doc instead of
+ * calling RevenueCat each time:
+ * - checked within SUBSCRIPTION_FRESH_MINUTES: used as-is
+ * - within SUBSCRIPTION_STALE_HOURS: used as-is, and a refresh is requested by stamping
+ *   subscriptionRefreshRequestedAt on the user doc. The revalidateSubscription trigger
+ *   (index.js) does the lookup in its own invocation - not after the response, where
+ *   Cloud Functions throttles CPU and the work may never finish.
+ * - older, or never checked: wait for RevenueCat (bounded by REVENUECAT_TIMEOUT_MS)
+ * If the lookup fails or times out, the stored status is used instead - a RevenueCat outage
+ * no longer turns subscribers into free users. A circuit breaker (per instance) stops calling
+ * RevenueCat for BREAKER_COOLDOWN_MS after BREAKER_THRESHOLD failures in a row.
+ *
+ * A successful lookup is always written, so one that finds no subscription downgrades a
+ * lapsed subscriber even if the webhook missed the expiration. Only failures keep the
+ * stored status. Webhook status events also count as a fresh check.
+ */
+
+const admin = require('firebase-admin');
+const { validateSubscription, RevenueCatError } = require('./revenuecat');
+const { updateUserPlan } = require('./credits');
+
+const SUBSCRIPTION_FRESH_MINUTES = Number(process.env.SUBSCRIPTION_FRESH_MINUTES) || 10;
+const SUBSCRIPTION_STALE_HOURS = Number(process.env.SUBSCRIPTION_STALE_HOURS) || 24;
+const BREAKER_THRESHOLD = 3;
+const BREAKER_COOLDOWN_MS = 60 * 1000;
+
+const breaker = { failures: 0, openUntil: 0 };
+// userId -> in-flight lookup, so concurrent requests share one RevenueCat call
+const inFlight = new Map();
+
+function breakerOpen() {
+  return Date.now() < breaker.openUntil;
+}
+
+function recordResult(ok) {
+  if (ok) {
+    breaker.failures = 0;
+    return;
+  }
+  breaker.failures++;
+  if (breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    breaker.failures = 0;
+    console.warn(`RevenueCat circuit open for ${BREAKER_COOLDOWN_MS / 1000}s - using cached subscriptions`);
+  }
+}
+
+/**
+ * Ask RevenueCat and store the result on the user doc - including "no subscription", which
+ * moves a lapsed subscriber back to free (manual grants are kept, see helpers/plans)
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} userId
+ * @returns {Promise<object>} validateSubscription result
+ * @throws {RevenueCatError} if the lookup fails or the breaker is open
+ */
+async function lookupSubscription(db, userId) {
+  if (breakerOpen()) {
+    throw new RevenueCatError('RevenueCat circuit open');
+  }
+  let subValidation;
+  try {
+    subValidation = await validateSubscription(userId);
+    recordResult(true);
+  } catch (err) {
+    if (err instanceof RevenueCatError) recordResult(false);
+    throw err;
+  }
+
+  const userRef = db.collection('users').doc(userId);
+  const fields = {
+    subscriptionStatus: subValidation.subscriptionStatus,
+    plan: subValidation.plan,
+    revenuecatUserId: userId,
+    subscriptionCheckedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (subValidation.managementUrl) fields.managementUrl = subValidation.managementUrl;
+  await updateUserPlan(db, userRef, fields);
+  return subValidation;
+}
+
+/** lookupSubscription, shared with any lookup for the same user already running */
+function sharedLookup(db, userId) {
+  if (!inFlight.has(userId)) {
+    inFlight.set(userId, lookupSubscription(db, userId).finally(() => inFlight.delete(userId)));
+  }
+  return inFlight.get(userId);
+}
+
+/**
+ * Ask for a background refresh (see revalidateSubscription). At most once per
+ * SUBSCRIPTION_FRESH_MINUTES per user; failing to ask only costs freshness, not the request.
+ */
+async function requestRefresh(userRef, user) {
+  const requestedAt = user.subscriptionRefreshRequestedAt?.toMillis?.() || 0;
+  if (Date.now() - requestedAt <= SUBSCRIPTION_FRESH_MINUTES * 60 * 1000) return;
+  try {
+    await userRef.set({
+      subscriptionRefreshRequestedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  } catch (err) {
+    console.warn('Subscription refresh request failed:', userRef.id, err.message);
+  }
+}
+
+/**
+ * Background refresh, run by the revalidateSubscription trigger when a request was served
+ * a stale subscription. A RevenueCat failure keeps the stored status.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} userId
+ * @returns {Promise<boolean>} true if the stored subscription was refreshed
+ */
+async function revalidateSubscription(db, userId) {
+  try {
+    await sharedLookup(db, userId);
+    return true;
+  } catch (err) {
+    if (!(err instanceof RevenueCatError)) throw err;
+    console.warn('Background subscription refresh failed:', userId, err.message);
+    return false;
+  }
+}
+
+/**
+ * The user doc with an up-to-date subscription, per the cache rules above
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} userId
+ * @param {{ force?: boolean }} [opts] - force: always wait for RevenueCat (e.g. after a purchase)
+ * @returns {Promise<{ user: object|undefined, source: 'cache'|'revenuecat'|'fallback' }>}
+ *   source: where the subscription came from - fallback means RevenueCat was unavailable
+ *   and the stored status was used
+ */
+async function getSubscription(db, userId, { force = false } = {}) {
+  const userRef = db.collection('users').doc(userId);
+  const user = (await userRef.get()).data();
+  const checkedAt = user?.subscriptionCheckedAt?.toMillis?.();
+  const age = checkedAt ? Date.now() - checkedAt : Infinity;
+
+  if (!force && age <= SUBSCRIPTION_FRESH_MINUTES * 60 * 1000) {
+    return { user, source: 'cache' };
+  }
+  if (!force && age <= SUBSCRIPTION_STALE_HOURS * 60 * 60 * 1000) {
+    await requestRefresh(userRef, user);
+    return { user, source: 'cache' };
+  }
+
+  try {
+    await sharedLookup(db, userId);
+  } catch (err) {
+    if (!(err instanceof RevenueCatError)) throw err;
+    console.warn('Subscription lookup failed - using stored status:', userId, err.message);
+    return { user, source: 'fallback' };
+  }
+  return { user: (await userRef.get()).data(), source: 'revenuecat' };
+}
+
+module.exports = {
+  SUBSCRIPTION_FRESH_MINUTES,
+  SUBSCRIPTION_STALE_HOURS,
+  getSubscription,
+  revalidateSubscription,
+};
@@ -0,0 +1,110 @@
+/**
+ * Lightweight previews for finished videos
+ *
+ * When a job completes we keep, next to outputs/{userId}/{jobId}/dance.mp4:
+ * - poster.jpg   - one frame, for <video poster> and link previews
+ * - preview.webp - a short, small, looping animated WebP for history cards
+ * and record the video's duration and dimensions on the job. Lists then show the
+ * preview and only load the MP4 when the user presses play.
+ *
+ * ffmpeg/ffprobe binaries come from @ffmpeg-installer / @ffprobe-installer.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const ffprobePath = require('@ffprobe-installer/ffprobe').path;
+
+const run = promisify(execFile);
+
+const POSTER_AT_SECONDS = 1;
+const PREVIEW_SECONDS = 3;
+const PREVIEW_FPS = 10;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_QUALITY = 60;
+const FFMPEG_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Duration and display dimensions of a video file
+ * @returns {Promise<{ durationSeconds: number|null, width: number, height: number }>}
+ */
+async function probeVideo(file) {
+  const { stdout } = await run(ffprobePath, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height:stream_tags=rotate:format=duration',
+    '-of', 'json',
+    file,
+  ], { timeout: FFMPEG_TIMEOUT_MS });
+  const info = JSON.parse(stdout);
+  const stream = info.streams?.[0];
+  if (!stream?.width || !stream?.height) {
+    throw new Error('No video stream in output');
+  }
+  // Phone-style rotation metadata swaps the displayed width/height
+  const rotated = Math.abs(Number(stream.tags?.rotate) || 0) % 180 === 90;
+  const duration = Number(info.format?.duration);
+  return {
+    durationSeconds: Number.isFinite(duration) ? Math.round(duration * 100) / 100 : null,
+    width: rotated ? stream.height : stream.width,
+    height: rotated ? stream.width : stream.height,
+  };
+}
+
+function ffmpeg(args) {
+  return run(ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', ...args], {
+    timeout: FFMPEG_TIMEOUT_MS,
+  });
+}
+
+/** Run fn(dir) with a scratch directory that is removed afterwards */
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'video-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build the poster frame and animated preview for an MP4
+ * @param {Buffer} videoBuffer
+ * @returns {Promise<{ poster: Buffer, preview: Buffer, video: { durationSeconds: number|null,
+ *   width: number, height: number } }>}
+ */
+async function generateVideoPreviews(videoBuffer) {
+  return withTempDir(async (dir) => {
+    const input = path.join(dir, 'input.mp4');
+    const posterFile = path.join(dir, 'poster.jpg');
+    const previewFile = path.join(dir, 'preview.webp');
+    await fs.writeFile(input, videoBuffer);
+
+    const video = await probeVideo(input);
+    // Very short clips: take the poster from the middle instead
+    const posterAt = video.durationSeconds && video.durationSeconds < POSTER_AT_SECONDS * 2
+      ? video.durationSeconds / 2
+      : POSTER_AT_SECONDS;
+
+    await ffmpeg(['-ss', String(posterAt), '-i', input, '-frames:v', '1', '-q:v', '3', posterFile]);
+    await ffmpeg([
+      '-t', String(PREVIEW_SECONDS), '-i', input,
+      '-vf', `fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-2:flags=lanczos`,
+      '-an', '-c:v', 'libwebp_anim', '-q:v', String(PREVIEW_QUALITY), '-loop', '0',
+      previewFile,
+    ]);
+
+    const [poster, preview] = await Promise.all([fs.readFile(posterFile), fs.readFile(previewFile)]);
+    return { poster, preview, video };
+  });
+}
+
+module.exports = {
+  ffmpeg,
+  withTempDir,
+  probeVideo,
+  generateVideoPreviews,
+};
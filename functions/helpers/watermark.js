@@ -0,0 +1,83 @@
+/**
+ * PetDance watermark for free-tier videos
+ *
+ * The clean video stays at job.outputVideoPath (the master). For free users the completion
+ * path also writes dance-watermarked.mp4 with assets/watermark.png burned into the
+ * bottom-right corner. Which file a request gets is decided when its URL is signed, from
+ * the owner's current plan - so upgrading unlocks clean copies of past videos.
+ *
+ * Watermarking fails closed: a failed encode is retried, and if it still fails the caller
+ * must not fall back to the clean master.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { planFor } = require('./plans');
+const { ffmpeg, probeVideo, withTempDir } = require('./video-previews');
+
+const WATERMARK_FILE = path.join(__dirname, '..', 'assets', 'watermark.png');
+// Relative to the video's short side, so it reads the same on portrait and landscape
+const WATERMARK_WIDTH_RATIO = 0.3;
+const WATERMARK_MARGIN_RATIO = 0.04;
+// Encodes per video before giving up (ffmpeg can fail transiently, e.g. out of memory)
+const WATERMARK_ATTEMPTS = 3;
+
+/** Every watermark encode for a video failed; `cause` is the last ffmpeg error */
+class WatermarkError extends Error {
+  constructor(cause) {
+    super(`Watermarking failed after ${WATERMARK_ATTEMPTS} attempts: ${cause.message}`);
+    this.name = 'WatermarkError';
+    this.cause = cause;
+  }
+}
+
+/** True if the user's plan (helpers/plans) gets clean videos */
+function hasPaidAccess(user) {
+  return !planFor(user).watermark;
+}
+
+/**
+ * Burn the watermark into an MP4 (audio is copied as-is), retrying failed encodes
+ * @param {Buffer} videoBuffer
+ * @returns {Promise<Buffer>} Watermarked MP4
+ * @throws {WatermarkError} if every attempt failed
+ */
+async function watermarkVideo(videoBuffer) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await encodeWatermark(videoBuffer);
+    } catch (err) {
+      if (attempt >= WATERMARK_ATTEMPTS) throw new WatermarkError(err);
+      console.warn(`Watermark attempt ${attempt} failed, retrying:`, err.message);
+    }
+  }
+}
+
+async function encodeWatermark(videoBuffer) {
+  return withTempDir(async (dir) => {
+    const input = path.join(dir, 'input.mp4');
+    const output = path.join(dir, 'watermarked.mp4');
+    await fs.writeFile(input, videoBuffer);
+
+    const { width, height } = await probeVideo(input);
+    const shortSide = Math.min(width, height);
+    const wmWidth = Math.round((shortSide * WATERMARK_WIDTH_RATIO) / 2) * 2;
+    const margin = Math.round(shortSide * WATERMARK_MARGIN_RATIO);
+
+    await ffmpeg([
+      '-i', input, '-i', WATERMARK_FILE,
+      '-filter_complex', `[1:v]scale=${wmWidth}:-1[wm];[0:v][wm]overlay=x=W-w-${margin}:y=H-h-${margin}`,
+      '-map', '0:a?', '-c:a', 'copy',
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p',
+      '-movflags', '+faststart',
+      output,
+    ]);
+    return fs.readFile(output);
+  });
+}
+
+module.exports = {
+  WatermarkError,
+  hasPaidAccess,
+  watermarkVideo,
+};
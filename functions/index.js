@@ -1,38 +1,110 @@
 /**
  * PetDance Cloud Functions
+ * - api: REST API (/api/v1/...) - jobs, batches, subscription, styles
  * - createJob: Create job + return presigned upload URL
  * - startJob: Trigger Replicate AI processing
  * - replicateWebhook: Handle Replicate completion
+ * - revenuecatWebhook: Subscription events from RevenueCat -> users/{uid}
+ * - getStyles: Public dance style catalog
+ * - previewPrediction: Dry-run the Replicate input for a job (admins)
+ * - reapStuckJobs: Scheduled reconciliation of jobs whose webhook never arrived
+ * - cancelJob: User-initiated cancellation
+ * - retryQueuedJobs: Scheduled resubmission of transient Replicate failures
+ * - processUpload: Storage trigger - validate + normalize the uploaded pet photo
+ * - createShareLink / revokeShareLink: Public share links for finished videos
+ * - buildRenditions: Firestore trigger - 9:16, 1:1 and 16:9 versions of finished videos
+ * - refundCredits: Firestore trigger - give a job's credit back when it fails
+ * - grantDailyCredits: Scheduled daily top-up of credits to each user's plan allowance
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const cors = require('cors')({ origin: true });
+const express = require('express');
 
 // Config via env vars (set in functions/.env or Firebase console)
 // See functions/.env.example for required variables
 const config = () => ({
   replicateToken: process.env.REPLICATE_API_TOKEN,
-  replicateModel: process.env.REPLICATE_MODEL || 'minimax/hailuo-2.3-fast',
   replicateWebhookSecret: process.env.REPLICATE_WEBHOOK_SECRET,
   revenuecatSecret: process.env.REVENUECAT_SECRET_KEY,
-  revenuecatEntitlement: process.env.REVENUECAT_ENTITLEMENT_ID || 'pro',
+  revenuecatWebhookAuth: process.env.REVENUECAT_WEBHOOK_AUTH,
 });
 const { getStorage } = require('firebase-admin/storage');
-const { validateSubscription } = require('./helpers/revenuecat');
+const { getSubscription, revalidateSubscription } = require('./helpers/subscription-cache');
 const {
-  validateImage,
+  validateSubscription,
+  verifyWebhookAuthorization,
+  eventUserIds,
+  subscriptionFieldsForEvent,
+} = require('./helpers/revenuecat');
+const {
+  buildPredictionInput,
   createPrediction,
+  getPrediction,
+  cancelPrediction,
   verifyWebhookSignature,
-  MAX_IMAGE_SIZE_BYTES,
 } = require('./helpers/replicate');
+const { getAdapter, resolveOutputOptions } = require('./helpers/models');
+const {
+  QUALITY_TIERS,
+  DEFAULT_QUALITY_TIER,
+  assignModel,
+  defaultModel,
+} = require('./helpers/model-router');
+const {
+  FREE_PLAN,
+  MAX_DAILY_JOBS,
+  planIdFor,
+  planFor,
+  planViolation,
+  clampResolution,
+  toPublicPlan,
+} = require('./helpers/plans');
+const {
+  listStyles,
+  getStyle,
+  toPublicStyle,
+} = require('./helpers/styles');
+const { sanitizePromptVars, buildStylePrompt } = require('./helpers/prompts');
+const {
+  JOB_STATES,
+  TERMINAL_STATES,
+  JobTransitionError,
+  createJobDoc,
+  transitionJob,
+  transitionJobs,
+} = require('./helpers/job-state');
+const { planRetry } = require('./helpers/retry-policy');
+const { HttpError, endpoint, sendError } = require('./helpers/http');
+const {
+  MAX_PET_PHOTOS,
+  ImageValidationError,
+  checkSize,
+  normalizeImage,
+  composeGroupPhoto,
+} = require('./helpers/image-pipeline');
+const { isInFolder, signedReadUrl, videoFilename } = require('./helpers/storage-urls');
+const { newShareId, isShareId, shareUrl, renderSharePreview } = require('./helpers/shares');
+const { generateVideoPreviews } = require('./helpers/video-previews');
+const { WatermarkError, hasPaidAccess, watermarkVideo } = require('./helpers/watermark');
+const { mixSoundtrack } = require('./helpers/soundtrack');
+const { RENDITIONS, renderRendition } = require('./helpers/renditions');
+const {
+  JOB_CREDIT_COST,
+  InsufficientCreditsError,
+  initialCredits,
+  debitCredits,
+  releaseJobCredits,
+  refundJobCredits,
+  topUpDailyCredits,
+  applyPlanChange,
+} = require('./helpers/credits');
 
 const BUCKET_NAME = process.env.STORAGE_BUCKET || 'petdance-da752.firebasestorage.app';
 
 admin.initializeApp({ storageBucket: BUCKET_NAME });
 
 const db = admin.firestore();
-const auth = admin.auth();
 
 let bucket;
 try {
@@ -43,9 +115,58 @@ try {
 }
 
 const STORAGE_UNAVAILABLE_MSG = 'Video storage is being configured. Please try again later. (Storage requires billing setup)';
-
-// Rate limit: free users (subscriptionStatus !== 'active') - 2 jobs per day
-const FREE_USER_DAILY_LIMIT = 2;
+const WATERMARK_FAILED_MSG = 'We could not finish your video (watermarking failed). Your credit was refunded - please try again.';
+
+// Signed URL lifetime for the photo sent to Replicate (fetched when the prediction starts)
+const INPUT_IMAGE_URL_TTL_MINUTES = 30;
+// Signed video download URL lifetime (max 7 days)
+const DOWNLOAD_URL_TTL_MINUTES = Number(process.env.DOWNLOAD_URL_TTL_MINUTES) || 60;
+// Media URLs in share link previews - chat apps cache previews, so these outlive page URLs
+const SHARE_PREVIEW_TTL_MINUTES = 24 * 60;
+
+// Dance styles per batch (one job each)
+const MAX_BATCH_STYLES = 6;
+// Jobs per preview request (the history page lists the latest 50)
+const MAX_PREVIEW_JOBS = 50;
+
+// Stuck-job reaper thresholds (minutes since job creation)
+const JOB_STUCK_MINUTES = Number(process.env.JOB_STUCK_MINUTES) || 20;
+const JOB_MAX_PROCESSING_MINUTES = Number(process.env.JOB_MAX_PROCESSING_MINUTES) || 180;
+const PENDING_EXPIRY_MINUTES = Number(process.env.PENDING_EXPIRY_MINUTES) || 60;
+
+// Request body schemas (see helpers/http). /v1 routes take the job id from the path.
+const JOB_ID_BODY = {
+  jobId: { type: 'string', required: true, maxLength: 128 },
+};
+const JOB_ID_QUERY = {
+  jobId: { type: 'string', required: true, message: 'jobId query param required' },
+};
+const CREATE_JOB_BODY = {
+  danceStyle: { type: 'string', required: true, maxLength: 64 },
+  quality: { type: 'string', enum: Object.keys(QUALITY_TIERS) },
+  petCount: { type: 'number' },
+};
+const CREATE_BATCH_BODY = {
+  danceStyles: { type: 'array', required: true, message: 'danceStyles must be a list of dance style ids' },
+  quality: { type: 'string', enum: Object.keys(QUALITY_TIERS) },
+};
+const DOWNLOAD_OPTIONS = {
+  disposition: { type: 'string', enum: ['attachment', 'inline'] },
+  audio: { type: 'string', enum: ['music', 'none'] },
+  format: { type: 'string', enum: ['original', ...Object.keys(RENDITIONS)] },
+};
+const JOB_PREVIEWS_BODY = {
+  jobIds: { type: 'array', required: true, message: 'jobIds must be a list of job ids' },
+};
+const PREVIEW_BODY = {
+  ...JOB_ID_BODY,
+  model: { type: 'string' },
+  promptTemplate: { type: 'string', maxLength: 2000 },
+  negativePrompt: { type: 'string', maxLength: 2000 },
+};
+
+const REAPER_BATCH_SIZE = 100;
+const CREDIT_TOP_UP_PAGE_SIZE = 200;
 
 /**
  * Ensure user document exists and get/create it
@@ -55,57 +176,132 @@ async function getOrCreateUser(userId, email) {
   const userSnap = await userRef.get();
 
   if (!userSnap.exists) {
-    await userRef.set({
-      email: email || '',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      subscriptionStatus: 'none',
-      revenuecatUserId: userId,
+    // New users start with a day's free credits (in a transaction so the grant is recorded once)
+    await db.runTransaction(async (tx) => {
+      if ((await tx.get(userRef)).exists) return;
+      const { fields, entry } = initialCredits();
+      tx.set(userRef, {
+        email: email || '',
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        subscriptionStatus: 'none',
+        plan: FREE_PLAN,
+        revenuecatUserId: userId,
+        ...fields,
+      });
+      tx.set(userRef.collection('ledger').doc(), entry);
     });
   }
 
   return userRef;
 }
 
-/** Sync user doc with RevenueCat subscription status when we validate */
-async function syncSubscriptionStatus(userId, subValidation) {
-  if (!subValidation || subValidation.subscriptionStatus === 'none') return;
-  try {
-    const update = {
-      subscriptionStatus: subValidation.subscriptionStatus,
-      revenuecatUserId: userId,
-    };
-    if (subValidation.managementUrl) update.managementUrl = subValidation.managementUrl;
-    await db.collection('users').doc(userId).set(update, { merge: true });
-  } catch (e) {
-    console.warn('syncSubscriptionStatus:', e.message);
+/**
+ * The caller's plan (helpers/plans) from their cached subscription (helpers/subscription-cache)
+ * - the limits every job request is checked against
+ * @returns {Promise<{ planId: string, plan: object }>}
+ */
+async function currentPlan(userId) {
+  const { user } = await getSubscription(db, userId);
+  return { planId: planIdFor(user), plan: planFor(user) };
+}
+
+/**
+ * What starting jobs costs: JOB_CREDIT_COST per job from the plan's daily credits (see
+ * helpers/credits). Returns extra options for the transition that claims the jobs, so the
+ * debit happens in the same transaction and two concurrent starts can't share a credit.
+ * @param {string} userId
+ * @param {string[]} jobIds
+ * @returns {{ fields: object, onTransaction: function }}
+ */
+function startCharge(userId, jobIds) {
+  const userRef = db.collection('users').doc(userId);
+  return {
+    fields: { creditCost: JOB_CREDIT_COST },
+    onTransaction: (tx) => debitCredits(tx, userRef, JOB_CREDIT_COST * jobIds.length, {
+      jobIds,
+      reason: jobIds.length > 1 ? 'batch start' : 'job start',
+      actor: `user:${userId}`,
+    }),
+  };
+}
+
+/**
+ * Load a job the caller owns
+ * @returns {Promise<{ jobRef: FirebaseFirestore.DocumentReference, job: object }>}
+ * @throws {HttpError} NOT_FOUND / PERMISSION_DENIED
+ */
+async function loadOwnedJob(jobId, userId) {
+  const jobRef = db.collection('jobs').doc(jobId);
+  const jobSnap = await jobRef.get();
+  if (!jobSnap.exists) {
+    throw new HttpError('NOT_FOUND', 'Job not found');
   }
+  const job = jobSnap.data();
+  if (job.userId !== userId) {
+    throw new HttpError('PERMISSION_DENIED', 'Unauthorized');
+  }
+  return { jobRef, job };
 }
 
 /**
- * Check rate limit for free users - only counts jobs where we called Replicate
- * (processing = paying Replicate, completed = delivered video). Pending/failed don't count.
+ * Load a batch the caller owns
+ * @returns {Promise<{ batchRef: FirebaseFirestore.DocumentReference, batch: object }>}
+ * @throws {HttpError} NOT_FOUND / PERMISSION_DENIED
  */
-async function checkRateLimit(userId) {
-  const userDoc = await db.collection('users').doc(userId).get();
-  const user = userDoc.data();
-  
-  if (user?.subscriptionStatus === 'active') {
-    return true; // No limit for subscribed users
+async function loadOwnedBatch(batchId, userId) {
+  const batchRef = db.collection('batches').doc(batchId);
+  const batchSnap = await batchRef.get();
+  if (!batchSnap.exists) {
+    throw new HttpError('NOT_FOUND', 'Batch not found');
+  }
+  const batch = batchSnap.data();
+  if (batch.userId !== userId) {
+    throw new HttpError('PERMISSION_DENIED', 'Unauthorized');
   }
+  return { batchRef, batch };
+}
 
-  const dayAgo = new Date();
-  dayAgo.setDate(dayAgo.getDate() - 1);
+/**
+ * Adapt a /v1 job handler (job id in the path) to the legacy per-function endpoints,
+ * which take jobId in the body (POST) or query string (GET)
+ */
+function withLegacyJobId(handler) {
+  return (req, res) => {
+    req.params = { ...req.params, id: req.method === 'GET' ? req.query.jobId : req.body.jobId };
+    return handler(req, res);
+  };
+}
 
-  const jobsSnapshot = await db.collection('jobs')
-    .where('userId', '==', userId)
-    .where('status', 'in', ['processing', 'completed'])
-    .where('createdAt', '>=', dayAgo)
-    .get();
+/**
+ * Prompt + negative prompt for a job on a model, from its style's templates.
+ * Styles disabled since createJob still render - the job was accepted with them.
+ */
+async function resolveJobPrompt(job, replicateModel, overrides) {
+  const style = (await listStyles(db, { includeDisabled: true })).find((s) => s.id === job.danceStyle);
+  if (!style) return {};
+  const promptVars = job.petCount > 1 ? { ...job.promptVars, petCount: job.petCount } : job.promptVars;
+  return buildStylePrompt(style, getAdapter(replicateModel), replicateModel, promptVars, overrides);
+}
 
-  if (jobsSnapshot.size >= FREE_USER_DAILY_LIMIT) {
-    throw new Error(`Free tier limit: ${FREE_USER_DAILY_LIMIT} videos per day. Upgrade for unlimited!`);
-  }
-  return true;
+/**
+ * Short-lived signed URL for the job's own photo - never a client-supplied URL, nor a path
+ * outside the job's (or its batch's) uploads folder.
+ * Minted per submission, so retries never reuse an expired one. Jobs uploaded before
+ * processUpload existed have no normalized copy and use the original.
+ */
+async function inputImageUrl(job, jobId) {
+  const { url } = await signJobFile(job, jobId, job.normalizedImagePath || job.inputImagePath, {
+    ttlMinutes: INPUT_IMAGE_URL_TTL_MINUTES,
+  }, 'uploads');
+  return url;
+}
+
+/**
+ * Upload path for a job's pet photo: original.jpg for the first pet, original-2.jpg, ... for
+ * the others (multi-pet jobs)
+ */
+function petPhotoPath(userId, jobId, index) {
+  return `uploads/${userId}/${jobId}/original${index ? `-${index + 1}` : ''}.jpg`;
 }
 
 /** Verify we can write to Storage before calling expensive Replicate API */
@@ -125,239 +321,762 @@ async function verifyStorageWritable(userId, jobId) {
 }
 
 /**
- * API: Create Job
- * POST /api/create-job
- * Body: { danceStyle: string }
- * Headers: Authorization: Bearer <firebase-id-token>
- * 
- * Returns: { jobId, uploadUrl, expiresAt }
+ * Submit a queued job to Replicate and move it to processing.
+ * Uses job.normalizedImagePath, job.replicateModel and job.attemptCount (set when queued).
+ * On submission error the job fails and its credit is released in the same transaction, so
+ * an immediate retry isn't refused for a credit it never used. If the job left `queued`
+ * meanwhile (canceled), the new prediction is canceled and the JobTransitionError rethrown.
  */
-exports.createJob = functions.https.onRequest(async (req, res) => {
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+async function submitPrediction(jobRef, job, actor) {
+  const projectId = process.env.GCLOUD_PROJECT
+    || (process.env.FIREBASE_CONFIG ? JSON.parse(process.env.FIREBASE_CONFIG).projectId : null);
+  const functionsUrl = projectId
+    ? `https://us-central1-${projectId}.cloudfunctions.net`
+    : '';
+
+  const webhookUrl = functionsUrl ? `${functionsUrl}/replicateWebhook` : null;
+
+  // Jobs created before per-job assignment fall back to the default model
+  const replicateModel = job.replicateModel || defaultModel();
+  const adapter = getAdapter(replicateModel);
+  const outputOptions = resolveOutputOptions(adapter, { resolution: job.resolution, duration: job.duration });
+  const { prompt, negativePrompt } = await resolveJobPrompt(job, replicateModel);
+
+  let prediction;
+  try {
+    prediction = await createPrediction(
+      await inputImageUrl(job, jobRef.id),
+      job.danceStyle,
+      webhookUrl || undefined,
+      config().replicateToken,
+      replicateModel,
+      { ...outputOptions, prompt, negativePrompt }
+    );
+  } catch (submitErr) {
+    await transitionJob(db, jobRef, JOB_STATES.FAILED, {
+      actor,
+      reason: 'replicate submission failed',
+      fields: { errorMessage: submitErr.message },
+      onTransaction: (tx, current) => releaseJobCredits(tx, db, jobRef, current, {
+        reason: 'replicate submission failed',
+        actor,
+      }),
+    }).catch((e) => console.error('Submission failure transition:', e.message));
+    throw submitErr;
+  }
 
-  if (req.method === 'OPTIONS') {
-    res.status(204).send('');
-    return;
+  try {
+    await transitionJob(db, jobRef, JOB_STATES.PROCESSING, {
+      actor,
+      reason: `replicate prediction created (attempt ${job.attemptCount || 1})`,
+      fields: {
+        replicateJobId: prediction.id,
+        replicateModel,
+        duration: outputOptions.duration || null,
+        resolution: outputOptions.resolution || null,
+        estimatedCostUsd: adapter.estimateCost(outputOptions),
+      },
+    });
+  } catch (err) {
+    if (err instanceof JobTransitionError) {
+      // Canceled while we were submitting - stop paying for the prediction
+      await cancelPrediction(prediction.id, config().replicateToken)
+        .catch((e) => console.warn('Cancel after late cancel failed:', e.message));
+    }
+    throw err;
   }
 
-  if (req.method !== 'POST') {
-    res.status(405).json({ error: 'Method not allowed' });
-    return;
+  return prediction;
+}
+
+/**
+ * Save a poster frame and animated preview next to a job's video. Best effort - the job
+ * completes without them and clients fall back to the uploaded photo.
+ * @returns {Promise<object>} Job fields to write on completion ({ posterPath, previewPath, video })
+ */
+async function saveVideoPreviews(userId, jobId, videoBuffer) {
+  try {
+    const { poster, preview, video } = await generateVideoPreviews(videoBuffer);
+    const posterPath = `outputs/${userId}/${jobId}/poster.jpg`;
+    const previewPath = `outputs/${userId}/${jobId}/preview.webp`;
+    await Promise.all([
+      bucket.file(posterPath).save(poster, { metadata: { contentType: 'image/jpeg' } }),
+      bucket.file(previewPath).save(preview, { metadata: { contentType: 'image/webp' } }),
+    ]);
+    return { posterPath, previewPath, video };
+  } catch (err) {
+    console.error('Video previews failed:', jobId, err.message);
+    return {};
   }
+}
 
+/**
+ * Mix the style's background music into a finished video. Best effort - on failure (or
+ * with no track configured) the video stays silent.
+ * @returns {Promise<{ video: Buffer, soundtrack: object }|null>} Mixed MP4 and what was used
+ */
+async function addSoundtrack(job, jobId, videoBuffer) {
+  const style = (await listStyles(db, { includeDisabled: true })).find((s) => s.id === job.danceStyle);
+  const track = style?.soundtrack;
+  if (!track) return null;
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith('Bearer ')) {
-      res.status(401).json({ error: 'Missing or invalid Authorization header' });
-      return;
+    const [trackBuffer] = await bucket.file(track.path).download();
+    const video = await mixSoundtrack(videoBuffer, trackBuffer, {
+      startSeconds: track.startSeconds,
+      ...(track.volume != null && { volume: track.volume }),
+    });
+    return { video, soundtrack: { path: track.path, credit: track.credit } };
+  } catch (err) {
+    if (err.code === 404) {
+      console.warn('Soundtrack missing, video stays silent:', track.path);
+    } else {
+      console.error('Soundtrack mix failed:', jobId, err.message);
     }
+    return null;
+  }
+}
 
-    const idToken = authHeader.split('Bearer ')[1];
-    const decodedToken = await auth.verifyIdToken(idToken);
-    const userId = decodedToken.uid;
-    const email = decodedToken.email || '';
+/**
+ * Free tier: save watermarked copies next to the clean masters (which are always kept, so
+ * upgrading unlocks them). Not best effort: if an encode still fails after its retries this
+ * throws, and the job fails instead of completing with only the clean master.
+ * @param {{ video: Buffer, silentVideo?: Buffer }} videos
+ * @returns {Promise<object>} Job fields ({ watermarkedVideoPath, watermarkedSilentVideoPath })
+ */
+async function saveWatermarkedCopies(userId, jobId, { video, silentVideo }) {
+  const owner = (await db.collection('users').doc(userId).get()).data();
+  if (hasPaidAccess(owner)) return {};
+  const save = async (buffer, name) => {
+    const filePath = `outputs/${userId}/${jobId}/${name}`;
+    await bucket.file(filePath).save(await watermarkVideo(buffer), {
+      metadata: { contentType: 'video/mp4' },
+    });
+    return filePath;
+  };
+  const fields = { watermarkedVideoPath: await save(video, 'dance-watermarked.mp4') };
+  if (silentVideo) {
+    fields.watermarkedSilentVideoPath = await save(silentVideo, 'dance-silent-watermarked.mp4');
+  }
+  return fields;
+}
 
-    const { danceStyle } = req.body || {};
-    if (!danceStyle || typeof danceStyle !== 'string') {
-      res.status(400).json({ error: 'danceStyle is required' });
-      return;
-    }
+/**
+ * Save a finished video and everything derived from it:
+ * - dance.mp4 with the style's music, plus dance-silent.mp4 (the generated original)
+ * - poster frame and animated preview
+ * - free tier: watermarked copies
+ * Saving the videos (and their watermarked copies) throws; previews are best effort.
+ * @param {Buffer} generatedVideo - MP4 as returned by the model
+ * @returns {Promise<object>} Job fields to write on completion
+ */
+async function saveJobOutputs(jobId, job, generatedVideo) {
+  const base = `outputs/${job.userId}/${jobId}`;
+  const mixed = await addSoundtrack(job, jobId, generatedVideo);
+  const video = mixed ? mixed.video : generatedVideo;
+  const silentVideo = mixed ? generatedVideo : null;
+
+  const fields = { outputVideoPath: `${base}/dance.mp4`, silentVideoPath: null, soundtrack: null };
+  await bucket.file(fields.outputVideoPath).save(video, { metadata: { contentType: 'video/mp4' } });
+  if (mixed) {
+    fields.silentVideoPath = `${base}/dance-silent.mp4`;
+    fields.soundtrack = mixed.soundtrack;
+    await bucket.file(fields.silentVideoPath).save(silentVideo, {
+      metadata: { contentType: 'video/mp4' },
+    });
+  }
 
-    const validStyles = ['hip-hop', 'ballet', 'disco', 'breakdance', 'salsa', 'robot'];
-    if (!validStyles.includes(danceStyle)) {
-      res.status(400).json({ error: `Invalid danceStyle. Allowed: ${validStyles.join(', ')}` });
-      return;
-    }
+  return {
+    ...fields,
+    ...await saveVideoPreviews(job.userId, jobId, video),
+    ...await saveWatermarkedCopies(job.userId, jobId, { video, silentVideo }),
+  };
+}
+
+/**
+ * Clean and watermarked files for one version of a job's video
+ * @param {object} job
+ * @param {object} [opts]
+ * @param {boolean} [opts.silent] - Without background music (when the job has it)
+ * @param {string} [opts.format] - 'original' or a RENDITIONS key (renditions keep the music)
+ * @returns {{ clean: string, watermarked: string|null }|null} null if the rendition isn't ready
+ */
+function videoFiles(job, { silent = false, format = 'original' } = {}) {
+  if (format !== 'original') {
+    const rendition = job.renditions?.[format];
+    return rendition ? { clean: rendition.path, watermarked: rendition.watermarkedPath || null } : null;
+  }
+  if (silent && job.silentVideoPath) {
+    return { clean: job.silentVideoPath, watermarked: job.watermarkedSilentVideoPath || null };
+  }
+  return { clean: job.outputVideoPath, watermarked: job.watermarkedVideoPath || null };
+}
+
+/**
+ * Storage folder a job's files live in. Pet photos of a batch are uploaded once, under the
+ * batch id (processUpload's uploadId), and shared by its jobs.
+ * @param {object} job
+ * @param {string} jobId
+ * @param {'outputs'|'uploads'} [kind]
+ */
+function jobFolder(job, jobId, kind = 'outputs') {
+  const id = kind === 'uploads' ? job.batchId || jobId : jobId;
+  return `${kind}/${job.userId}/${id}/`;
+}
+
+/**
+ * Signed read URL for one of a job's files. Paths come from the job doc, so only paths
+ * inside the job's own folder are signed - never another user's files.
+ * @param {object} job
+ * @param {string} jobId
+ * @param {string} path
+ * @param {object} opts - signedReadUrl options
+ * @param {'outputs'|'uploads'} [kind] - Folder the path must be in
+ * @throws {HttpError} NOT_FOUND if the path is outside the job's folder
+ */
+async function signJobFile(job, jobId, path, opts, kind = 'outputs') {
+  if (!isInFolder(path, jobFolder(job, jobId, kind))) {
+    console.error('Refusing to sign a path outside the job folder', { jobId, path });
+    throw new HttpError('NOT_FOUND', 'File not found');
+  }
+  return signedReadUrl(bucket, path, opts);
+}
 
-    await getOrCreateUser(userId, email);
+/**
+ * Video file to serve, decided by the owner's plan now: the clean master on a paid plan,
+ * else the watermarked copy. A Free owner is never served the clean file - videos without
+ * a watermarked copy (finished while paid, or before watermarking) need an upgrade.
+ * @param {object} job
+ * @param {{ clean: string, watermarked: string|null }} [files] - From videoFiles (default: original)
+ * @throws {HttpError} FAILED_PRECONDITION if the owner is on Free and there is no watermarked copy
+ */
+async function servedVideoPath(job, files = videoFiles(job)) {
+  const owner = (await db.collection('users').doc(job.userId).get()).data();
+  if (hasPaidAccess(owner)) return files.clean;
+  if (!files.watermarked) {
+    throw new HttpError('FAILED_PRECONDITION', 'This video is not available on the Free plan. Upgrade to download it.');
+  }
+  return files.watermarked;
+}
 
-    const revenuecatUserId = userId;
-    const subValidation = await validateSubscription(revenuecatUserId, config().revenuecatSecret);
-    if (subValidation.hasAccess) {
-      await syncSubscriptionStatus(userId, subValidation);
+/**
+ * Apply a finished Replicate prediction to its job: save the video and complete,
+ * or fail/cancel. Shared by replicateWebhook and the stuck-job reaper.
+ * @param {object} prediction - Replicate prediction ({ status, output, error })
+ * @param {string} actor - Recorded on the job event
+ * @returns {Promise<string|null>} New job status, or null if the prediction isn't finished
+ * @throws {JobTransitionError} if the job was already finalized concurrently
+ */
+async function finalizePrediction(jobRef, job, prediction, actor) {
+  const { status, output, error } = prediction;
+
+  if (status === 'succeeded' && output) {
+    // Jobs created before model tracking fall back to the current default model
+    const adapter = getAdapter(job.replicateModel || defaultModel());
+    const videoUrl = adapter.extractVideoUrl(output);
+    if (!videoUrl) {
+      console.error('Replicate output format:', JSON.stringify(output).slice(0, 500));
+      throw new Error('No video URL in Replicate output');
     }
-    if (!subValidation.hasAccess && subValidation.subscriptionStatus === 'none') {
-      // Allow free tier with rate limit
+
+    if (!bucket) {
+      await transitionJob(db, jobRef, JOB_STATES.FAILED, {
+        actor,
+        reason: 'storage unavailable',
+        fields: { errorMessage: STORAGE_UNAVAILABLE_MSG },
+      });
+      return JOB_STATES.FAILED;
     }
 
-    const jobRef = db.collection('jobs').doc();
-    const jobId = jobRef.id;
-    const uploadPath = `uploads/${userId}/${jobId}/original.jpg`;
+    const fetchResponse = await fetch(videoUrl);
+    if (!fetchResponse.ok) {
+      throw new Error(`Failed to fetch video: ${fetchResponse.status}`);
+    }
 
-    await jobRef.set({
-      userId,
-      inputImagePath: uploadPath,
-      outputVideoPath: null,
-      status: 'pending',
-      danceStyle,
-      replicateJobId: null,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      completedAt: null,
-      errorMessage: null,
+    const buffer = Buffer.from(await fetchResponse.arrayBuffer());
+    let outputFields;
+    try {
+      outputFields = await saveJobOutputs(jobRef.id, job, buffer);
+    } catch (storageErr) {
+      const watermarkFailed = storageErr instanceof WatermarkError;
+      console.error(watermarkFailed ? 'Watermark error:' : 'Storage save error:', storageErr);
+      await transitionJob(db, jobRef, JOB_STATES.FAILED, {
+        actor,
+        reason: watermarkFailed ? 'watermark failed' : 'output save failed',
+        fields: { errorMessage: watermarkFailed ? WATERMARK_FAILED_MSG : STORAGE_UNAVAILABLE_MSG },
+      });
+      return JOB_STATES.FAILED;
+    }
+
+    await transitionJob(db, jobRef, JOB_STATES.COMPLETED, {
+      actor,
+      reason: 'prediction succeeded',
+      fields: { ...outputFields, errorMessage: null },
     });
+    return JOB_STATES.COMPLETED;
+  } else if (status === 'failed' || (status === 'succeeded' && !output)) {
+    const errorText = error || 'Replicate job failed';
+    const { classification, retry } = planRetry(job, errorText);
+    const attemptRecord = {
+      attempt: job.attemptCount || 1,
+      replicateJobId: job.replicateJobId || null,
+      model: job.replicateModel || null,
+      error: String(errorText).slice(0, 500),
+      classification,
+      failedAt: new Date().toISOString(),
+    };
 
-    res.status(200).json({
-      jobId,
-      uploadPath,
+    if (retry) {
+      await transitionJob(db, jobRef, JOB_STATES.QUEUED, {
+        actor,
+        reason: `${classification} failure, retry ${retry.attempt} at ${retry.retryAt.toISOString()}`,
+        fields: {
+          attempts: admin.firestore.FieldValue.arrayUnion(attemptRecord),
+          retryAt: admin.firestore.Timestamp.fromDate(retry.retryAt),
+          replicateModel: retry.model,
+          replicateJobId: null,
+          errorMessage: null,
+        },
+      });
+      return JOB_STATES.QUEUED;
+    }
+
+    const attempts = job.attemptCount || 1;
+    await transitionJob(db, jobRef, JOB_STATES.FAILED, {
+      actor,
+      reason: `prediction failed (${classification})`,
+      fields: {
+        attempts: admin.firestore.FieldValue.arrayUnion(attemptRecord),
+        retryAt: null,
+        errorMessage: attempts > 1
+          ? `Video generation failed after ${attempts} attempts: ${errorText}`
+          : errorText,
+      },
     });
-  } catch (error) {
-    console.error('createJob error:', error);
-    res.status(500).json({
-      error: error.message || 'Internal server error',
+    return JOB_STATES.FAILED;
+  } else if (status === 'canceled') {
+    await transitionJob(db, jobRef, JOB_STATES.CANCELED, {
+      actor,
+      reason: 'prediction canceled',
+      fields: { errorMessage: 'Job was canceled' },
     });
+    return JOB_STATES.CANCELED;
   }
-});
+  return null;
+}
+
+/**
+ * Run a job that was just claimed (queued, attemptCount 1): a Replicate prediction, or the
+ * sample video when REPLICATE_MOCK=1. The job fails if either can't be started.
+ * @returns {Promise<{ status: string, replicateJobId?: string, mock?: boolean }>}
+ * @throws {JobTransitionError} if the job was canceled while starting
+ */
+async function launchQueuedJob(jobRef, job) {
+  const mockMode = process.env.REPLICATE_MOCK === '1';
+  const mockVideoUrl = process.env.MOCK_VIDEO_URL || 'https://download.samplelib.com/mp4/sample-5s.mp4';
+
+  if (mockMode) {
+    // Skip Replicate API - use sample video (no cost)
+    try {
+      const fetchRes = await fetch(mockVideoUrl);
+      if (!fetchRes.ok) throw new Error(`Mock video fetch failed: ${fetchRes.status}`);
+      const buffer = Buffer.from(await fetchRes.arrayBuffer());
+      const outputFields = await saveJobOutputs(jobRef.id, job, buffer);
+      await transitionJob(db, jobRef, JOB_STATES.COMPLETED, {
+        actor: 'system:startJob',
+        reason: 'mock mode',
+        fields: {
+          ...outputFields,
+          replicateJobId: 'mock-' + jobRef.id,
+          errorMessage: null,
+        },
+      });
+      return { status: JOB_STATES.COMPLETED, mock: true };
+    } catch (mockErr) {
+      console.error('Mock mode error:', mockErr);
+      await transitionJob(db, jobRef, JOB_STATES.FAILED, {
+        actor: 'system:startJob',
+        reason: 'mock mode failed',
+        fields: { errorMessage: 'Mock mode failed: ' + mockErr.message },
+        onTransaction: (tx, current) => releaseJobCredits(tx, db, jobRef, current, {
+          reason: 'mock mode failed',
+          actor: 'system:startJob',
+        }),
+      }).catch((e) => console.error('Mock failure transition:', e.message));
+      throw new HttpError('INTERNAL', 'Mock mode failed: ' + mockErr.message);
+    }
+  }
+
+  const prediction = await submitPrediction(
+    jobRef,
+    { ...job, attemptCount: 1 },
+    'system:startJob'
+  );
+  return { replicateJobId: prediction.id, status: JOB_STATES.PROCESSING };
+}
+
+/**
+ * API: Create Job
+ * POST /api/v1/jobs (legacy: POST /createJob)
+ * Body: { danceStyle: string, quality?: 'standard' | 'high', petCount?: 1-4, petName?, species?, background? }
+ * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * petCount > 1 makes a group dance: one photo per pet, uploaded to uploadPaths (uploadPath is
+ * the first), combined into one scene by processUpload once all of them have arrived.
+ *
+ * Returns: { jobId, uploadPath, uploadPaths, qualityTier }
+ */
+async function handleCreateJob(req, res) {
+  const userId = req.user.uid;
+  const email = req.user.email || '';
+
+  const { danceStyle, quality, petCount = 1, ...promptInput } = req.body;
+  if (!Number.isInteger(petCount) || petCount < 1 || petCount > MAX_PET_PHOTOS) {
+    throw new HttpError('INVALID_ARGUMENT', `petCount must be between 1 and ${MAX_PET_PHOTOS}`);
+  }
+  const style = await getStyle(db, danceStyle);
+  if (!style) {
+    const validStyles = (await listStyles(db)).map((s) => s.id);
+    throw new HttpError('INVALID_ARGUMENT', `Invalid danceStyle. Allowed: ${validStyles.join(', ')}`);
+  }
+
+  const qualityTier = quality || DEFAULT_QUALITY_TIER;
+
+  await getOrCreateUser(userId, email);
+
+  const { planId, plan } = await currentPlan(userId);
+  const violation = planViolation(plan, { styles: [style], qualityTier });
+  if (violation) {
+    throw new HttpError('PERMISSION_DENIED', violation);
+  }
+
+  const jobRef = db.collection('jobs').doc();
+  const jobId = jobRef.id;
+  const modelAssignment = assignModel(jobId, qualityTier);
+  const uploadPaths = Array.from({ length: petCount }, (_, i) => petPhotoPath(userId, jobId, i));
+
+  await createJobDoc(db, jobRef, {
+    userId,
+    inputImagePath: uploadPaths[0],
+    inputImagePaths: uploadPaths,
+    petCount,
+    outputVideoPath: null,
+    danceStyle,
+    promptVars: sanitizePromptVars(promptInput),
+    qualityTier: modelAssignment.qualityTier,
+    replicateModel: modelAssignment.replicateModel,
+    resolution: clampResolution(plan, modelAssignment.resolution),
+    duration: plan.durationSeconds,
+    abWeight: modelAssignment.abWeight,
+    plan: planId,
+    priority: plan.priority,
+    replicateJobId: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    completedAt: null,
+    errorMessage: null,
+  }, `user:${userId}`);
+
+  res.status(200).json({
+    jobId,
+    uploadPath: uploadPaths[0],
+    uploadPaths,
+    qualityTier: modelAssignment.qualityTier,
+    plan: planId,
+  });
+}
+
+exports.createJob = functions.https.onRequest(endpoint('createJob', {
+  methods: ['POST'],
+  auth: true,
+  body: CREATE_JOB_BODY,
+}, handleCreateJob));
 
 /**
  * API: Start Job (trigger AI processing)
- * POST /api/start-job
- * Body: { jobId: string }
+ * POST /api/v1/jobs/:id/start (legacy: POST /startJob, jobId in body)
  * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * Replicate gets the job's normalized photo (written by processUpload) through a signed
+ * URL, so the upload must have passed validation first. Client image URLs are rejected.
  */
-exports.startJob = functions.https.onRequest(async (req, res) => {
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+async function handleStartJob(req, res) {
+  const userId = req.user.uid;
 
-  if (req.method === 'OPTIONS') {
-    res.status(204).send('');
-    return;
+  const jobId = req.params.id;
+  if (req.body?.imageUrl !== undefined) {
+    throw new HttpError('INVALID_ARGUMENT', 'imageUrl is not accepted. The photo is taken from the uploaded image for this job.');
   }
+  const { jobRef, job } = await loadOwnedJob(jobId, userId);
 
-  if (req.method !== 'POST') {
-    res.status(405).json({ error: 'Method not allowed' });
-    return;
+  if (job.status === JOB_STATES.UPLOADING) {
+    throw new HttpError('FAILED_PRECONDITION', 'Your photo is still being checked. Please try again in a moment.');
+  }
+  if (job.status !== JOB_STATES.PENDING) {
+    throw new HttpError('FAILED_PRECONDITION', `Job already ${job.status}`);
+  }
+  if (!job.normalizedImagePath) {
+    throw new HttpError('FAILED_PRECONDITION', 'Upload your photo before starting the job');
+  }
+
+  // The plan may have changed since createJob - check the job against the current one
+  const { plan } = await currentPlan(userId);
+  const style = (await listStyles(db, { includeDisabled: true })).find((s) => s.id === job.danceStyle);
+  const violation = planViolation(plan, { styles: style ? [style] : [], qualityTier: job.qualityTier });
+  if (violation) {
+    throw new HttpError('PERMISSION_DENIED', violation);
+  }
+
+  if (!bucket) {
+    throw new HttpError('UNAVAILABLE', STORAGE_UNAVAILABLE_MSG);
+  }
+  const canWrite = await verifyStorageWritable(userId, jobRef.id);
+  if (!canWrite) {
+    throw new HttpError('UNAVAILABLE', STORAGE_UNAVAILABLE_MSG);
   }
 
+  // Claim the job and pay for it - a concurrent startJob for the same job fails here
+  const charge = startCharge(userId, [jobRef.id]);
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith('Bearer ')) {
-      res.status(401).json({ error: 'Missing or invalid Authorization header' });
-      return;
-    }
+    await transitionJob(db, jobRef, JOB_STATES.QUEUED, {
+      actor: `user:${userId}`,
+      reason: 'start requested',
+      from: [JOB_STATES.PENDING],
+      fields: { attemptCount: 1, ...charge.fields },
+      onTransaction: charge.onTransaction,
+    });
+  } catch (err) {
+    if (err instanceof InsufficientCreditsError) throw new HttpError('RESOURCE_EXHAUSTED', err.message);
+    if (!(err instanceof JobTransitionError)) throw err;
+    throw new HttpError('FAILED_PRECONDITION', `Job already ${err.from}`);
+  }
 
-    const idToken = authHeader.split('Bearer ')[1];
-    const decodedToken = await auth.verifyIdToken(idToken);
-    const userId = decodedToken.uid;
+  let launched;
+  try {
+    launched = await launchQueuedJob(jobRef, job);
+  } catch (err) {
+    if (!(err instanceof JobTransitionError)) throw err;
+    throw new HttpError('CONFLICT', `Job ${err.from} while starting`);
+  }
 
-    const { jobId, imageUrl: clientImageUrl } = req.body || {};
-    if (!jobId) {
-      res.status(400).json({ error: 'jobId is required' });
-      return;
-    }
+  res.status(200).json({ jobId, ...launched });
+}
 
-    const jobRef = db.collection('jobs').doc(jobId);
-    const jobSnap = await jobRef.get();
+exports.startJob = functions.https.onRequest(endpoint('startJob', {
+  methods: ['POST'],
+  auth: true,
+  body: JOB_ID_BODY,
+}, withLegacyJobId(handleStartJob)));
 
-    if (!jobSnap.exists) {
-      res.status(404).json({ error: 'Job not found' });
-      return;
-    }
+/**
+ * API: Create batch - one photo, several dance styles
+ * POST /api/v1/batches
+ * Body: { danceStyles: string[], quality?, petName?, species?, background? }
+ * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * Creates one job per style (job.batchId) that all use the photo uploaded to uploadPath.
+ * The jobs share one model assignment, so the photo is normalized once for all of them.
+ *
+ * Returns: { batchId, uploadPath, jobIds, qualityTier }
+ */
+async function handleCreateBatch(req, res) {
+  const userId = req.user.uid;
+  const email = req.user.email || '';
+
+  const { danceStyles, quality, ...promptInput } = req.body;
+  const styleIds = [...new Set(danceStyles)];
+  if (styleIds.some((id) => typeof id !== 'string')) {
+    throw new HttpError('INVALID_ARGUMENT', 'danceStyles must be a list of dance style ids');
+  }
+  if (styleIds.length < 2 || styleIds.length > MAX_BATCH_STYLES) {
+    throw new HttpError('INVALID_ARGUMENT', `Pick between 2 and ${MAX_BATCH_STYLES} dance styles`);
+  }
+  const catalog = await listStyles(db);
+  const unknown = styleIds.filter((id) => !catalog.some((s) => s.id === id));
+  if (unknown.length) {
+    throw new HttpError('INVALID_ARGUMENT', `Invalid danceStyles: ${unknown.join(', ')}. Allowed: ${catalog.map((s) => s.id).join(', ')}`);
+  }
 
-    const job = jobSnap.data();
-    if (job.userId !== userId) {
-      res.status(403).json({ error: 'Unauthorized' });
-      return;
-    }
+  const qualityTier = quality || DEFAULT_QUALITY_TIER;
 
-    if (job.status !== 'pending') {
-      res.status(400).json({ error: `Job already ${job.status}` });
-      return;
-    }
+  await getOrCreateUser(userId, email);
 
-    const subValidation = await validateSubscription(job.userId, config().revenuecatSecret);
-    if (subValidation.hasAccess) {
-      await syncSubscriptionStatus(userId, subValidation);
-    }
-    if (!subValidation.hasAccess && subValidation.subscriptionStatus === 'none') {
-      // Free user - rate limit already checked at job creation
-    }
+  const { planId, plan } = await currentPlan(userId);
+  const violation = planViolation(plan, {
+    styles: catalog.filter((s) => styleIds.includes(s.id)),
+    qualityTier,
+  });
+  if (violation) {
+    throw new HttpError('PERMISSION_DENIED', violation);
+  }
 
-    await checkRateLimit(userId);
+  const batchRef = db.collection('batches').doc();
+  const batchId = batchRef.id;
+  const modelAssignment = assignModel(batchId, qualityTier);
+  const uploadPath = petPhotoPath(userId, batchId, 0);
+  const promptVars = sanitizePromptVars(promptInput);
+
+  const jobRefs = styleIds.map(() => db.collection('jobs').doc());
+  await Promise.all(jobRefs.map((jobRef, i) => createJobDoc(db, jobRef, {
+    userId,
+    batchId,
+    inputImagePath: uploadPath,
+    outputVideoPath: null,
+    danceStyle: styleIds[i],
+    promptVars,
+    qualityTier: modelAssignment.qualityTier,
+    replicateModel: modelAssignment.replicateModel,
+    resolution: clampResolution(plan, modelAssignment.resolution),
+    duration: plan.durationSeconds,
+    abWeight: modelAssignment.abWeight,
+    plan: planId,
+    priority: plan.priority,
+    replicateJobId: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    completedAt: null,
+    errorMessage: null,
+  }, `user:${userId}`)));
+
+  // Written last: processUpload only fans out to batches whose jobs all exist
+  await batchRef.set({
+    userId,
+    danceStyles: styleIds,
+    jobIds: jobRefs.map((ref) => ref.id),
+    inputImagePath: uploadPath,
+    qualityTier: modelAssignment.qualityTier,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    startedAt: null,
+  });
 
-    let imageUrl = clientImageUrl;
-    if (!imageUrl || typeof imageUrl !== 'string') {
-      res.status(400).json({ error: 'imageUrl is required. Upload image first, then call startJob with the download URL.' });
-      return;
-    }
-    if (!imageUrl.startsWith('http')) {
-      res.status(400).json({ error: 'imageUrl must be a valid HTTP URL' });
-      return;
-    }
+  res.status(200).json({
+    batchId,
+    uploadPath,
+    jobIds: jobRefs.map((ref) => ref.id),
+    qualityTier: modelAssignment.qualityTier,
+    plan: planId,
+  });
+}
 
-    if (!bucket) {
-      res.status(503).json({ error: STORAGE_UNAVAILABLE_MSG });
-      return;
-    }
-    const canWrite = await verifyStorageWritable(userId, jobRef.id);
-    if (!canWrite) {
-      res.status(503).json({ error: STORAGE_UNAVAILABLE_MSG });
-      return;
-    }
+/**
+ * API: Start batch
+ * POST /api/v1/batches/:id/start
+ * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * Starts every job of the batch that is still waiting to start. They are claimed - and the
+ * user's credits debited for all of them - in one transaction: either the whole batch
+ * starts or none of it does. A job that then fails to reach Replicate doesn't stop the rest.
+ *
+ * Returns: { batchId, jobs: [{ jobId, danceStyle, status, replicateJobId?, error? }] }
+ */
+async function handleStartBatch(req, res) {
+  const userId = req.user.uid;
 
-    const mockMode = process.env.REPLICATE_MOCK === '1';
-    const mockVideoUrl = process.env.MOCK_VIDEO_URL || 'https://download.samplelib.com/mp4/sample-5s.mp4';
+  const batchId = req.params.id;
+  const { batchRef, batch } = await loadOwnedBatch(batchId, userId);
 
-    if (mockMode) {
-      // Skip Replicate API - use sample video (no cost)
-      const outputPath = `outputs/${userId}/${jobRef.id}/dance.mp4`;
-      const outputFile = bucket.file(outputPath);
-      try {
-        const fetchRes = await fetch(mockVideoUrl);
-        if (!fetchRes.ok) throw new Error(`Mock video fetch failed: ${fetchRes.status}`);
-        const buffer = Buffer.from(await fetchRes.arrayBuffer());
-        await outputFile.save(buffer, { metadata: { contentType: 'video/mp4' } });
-        await jobRef.update({
-          status: 'completed',
-          outputVideoPath: outputPath,
-          replicateJobId: 'mock-' + jobRef.id,
-          completedAt: admin.firestore.FieldValue.serverTimestamp(),
-          errorMessage: null,
-        });
-        res.status(200).json({ jobId, status: 'completed', mock: true });
-        return;
-      } catch (mockErr) {
-        console.error('Mock mode error:', mockErr);
-        res.status(500).json({ error: 'Mock mode failed: ' + mockErr.message });
-        return;
-      }
-    }
+  const jobSnaps = await db.getAll(...batch.jobIds.map((id) => db.collection('jobs').doc(id)));
+  const jobs = jobSnaps.filter((snap) => snap.exists).map((snap) => ({ jobRef: snap.ref, job: snap.data() }));
 
-    const projectId = process.env.GCLOUD_PROJECT
-      || (process.env.FIREBASE_CONFIG ? JSON.parse(process.env.FIREBASE_CONFIG).projectId : null);
-    const functionsUrl = projectId
-      ? `https://us-central1-${projectId}.cloudfunctions.net`
-      : '';
+  if (jobs.some(({ job }) => job.status === JOB_STATES.UPLOADING)) {
+    throw new HttpError('FAILED_PRECONDITION', 'Your photo is still being checked. Please try again in a moment.');
+  }
+  // Jobs canceled (or failed) before the start are left out
+  const startable = jobs.filter(({ job }) => job.status === JOB_STATES.PENDING);
+  if (!startable.length) {
+    throw new HttpError('FAILED_PRECONDITION', batch.startedAt ? 'Batch already started' : 'No videos left to start in this batch');
+  }
+  if (startable.some(({ job }) => !job.normalizedImagePath)) {
+    throw new HttpError('FAILED_PRECONDITION', 'Upload your photo before starting the batch');
+  }
 
-    const webhookUrl = functionsUrl ? `${functionsUrl}/replicateWebhook` : null;
+  const { plan } = await currentPlan(userId);
+  const catalog = await listStyles(db, { includeDisabled: true });
+  const violation = planViolation(plan, {
+    styles: catalog.filter((s) => startable.some(({ job }) => job.danceStyle === s.id)),
+    qualityTier: batch.qualityTier,
+  });
+  if (violation) {
+    throw new HttpError('PERMISSION_DENIED', violation);
+  }
 
-    const prediction = await createPrediction(
-      imageUrl,
-      job.danceStyle,
-      webhookUrl || undefined,
-      config().replicateToken,
-      config().replicateModel
-    );
+  if (!bucket) {
+    throw new HttpError('UNAVAILABLE', STORAGE_UNAVAILABLE_MSG);
+  }
+  const canWrite = await verifyStorageWritable(userId, batchId);
+  if (!canWrite) {
+    throw new HttpError('UNAVAILABLE', STORAGE_UNAVAILABLE_MSG);
+  }
 
-    await jobRef.update({
-      status: 'processing',
-      replicateJobId: prediction.id,
+  // Claim (and pay for) every job at once - a concurrent start of the batch or one of its
+  // jobs fails here, and the user needs credits for all of them
+  const jobRefs = startable.map(({ jobRef }) => jobRef);
+  const charge = startCharge(userId, jobRefs.map((ref) => ref.id));
+  try {
+    await transitionJobs(db, jobRefs, JOB_STATES.QUEUED, {
+      actor: `user:${userId}`,
+      reason: 'batch start requested',
+      from: [JOB_STATES.PENDING],
+      fields: { attemptCount: 1, ...charge.fields },
+      onTransaction: charge.onTransaction,
     });
+  } catch (err) {
+    if (err instanceof InsufficientCreditsError) throw new HttpError('RESOURCE_EXHAUSTED', err.message);
+    if (!(err instanceof JobTransitionError)) throw err;
+    throw new HttpError('FAILED_PRECONDITION', `A video in this batch is already ${err.from}`);
+  }
+  await batchRef.update({ startedAt: admin.firestore.FieldValue.serverTimestamp() });
 
-    res.status(200).json({
-      jobId,
-      replicateJobId: prediction.id,
-      status: 'processing',
-    });
-  } catch (error) {
-    console.error('startJob error:', error);
-    res.status(500).json({
-      error: error.message || 'Internal server error',
-    });
+  const results = [];
+  for (const { jobRef, job } of startable) {
+    try {
+      results.push({ jobId: jobRef.id, danceStyle: job.danceStyle, ...await launchQueuedJob(jobRef, job) });
+    } catch (err) {
+      console.error('startBatch: job failed to start', jobRef.id, err.message);
+      results.push({
+        jobId: jobRef.id,
+        danceStyle: job.danceStyle,
+        status: err instanceof JobTransitionError ? err.from : JOB_STATES.FAILED,
+        error: err.message,
+      });
+    }
   }
-});
+
+  res.status(200).json({ batchId, jobs: results });
+}
+
+/**
+ * API: Batch status
+ * GET /api/v1/batches/:id
+ * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * Returns: { batchId, createdAt, startedAt, done, counts: { <status>: n },
+ *   jobs: [{ jobId, danceStyle, status, errorMessage }] } - done once every job has finished
+ */
+async function handleGetBatch(req, res) {
+  const userId = req.user.uid;
+
+  const batchId = req.params.id;
+  const { batch } = await loadOwnedBatch(batchId, userId);
+
+  const jobSnaps = await db.getAll(...batch.jobIds.map((id) => db.collection('jobs').doc(id)));
+  const jobs = jobSnaps.filter((snap) => snap.exists).map((snap) => ({
+    jobId: snap.id,
+    danceStyle: snap.data().danceStyle,
+    status: snap.data().status,
+    errorMessage: snap.data().errorMessage || null,
+  }));
+  const counts = {};
+  jobs.forEach((job) => {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  });
+
+  res.status(200).json({
+    batchId,
+    createdAt: batch.createdAt?.toDate?.()?.toISOString?.(),
+    startedAt: batch.startedAt?.toDate?.()?.toISOString?.() || null,
+    done: jobs.every((job) => TERMINAL_STATES.includes(job.status)),
+    counts,
+    jobs,
+  });
+}
 
 /**
  * Webhook: Replicate job completion
@@ -366,8 +1085,14 @@ exports.startJob = functions.https.onRequest(async (req, res) => {
  *
  * Uses req.rawBody (provided by Firebase) for signature verification - exact wire bytes.
  * Do NOT use express.raw() - Firebase may pre-consume the stream.
+ * Completion runs synchronously: video download, soundtrack mix, ffprobe, poster frame,
+ * animated preview and the watermark/silent encodes - hence 1GiB and the 9 min timeout
+ * (the 60s default cuts it off mid-encode).
  */
-exports.replicateWebhook = functions.https.onRequest(async (req, res) => {
+exports.replicateWebhook = functions.https.onRequest({
+  memory: '1GiB',
+  timeoutSeconds: 540,
+}, async (req, res) => {
   if (req.method !== 'POST') {
     res.status(405).send('Method not allowed');
     return;
@@ -412,9 +1137,6 @@ exports.replicateWebhook = functions.https.onRequest(async (req, res) => {
   }
 
   const replicateJobId = payload.id;
-  const status = payload.status;
-  const output = payload.output;
-  const error = payload.error;
 
   if (!replicateJobId) {
     res.status(400).send('Missing prediction id');
@@ -435,73 +1157,22 @@ exports.replicateWebhook = functions.https.onRequest(async (req, res) => {
 
     const jobRef = jobsSnapshot.docs[0].ref;
     const job = jobsSnapshot.docs[0].data();
-    const { userId } = job;
 
-    if (status === 'succeeded' && output) {
-      let videoUrl = typeof output === 'string' ? output : null;
-      if (!videoUrl && typeof output === 'object') {
-        videoUrl = output.url || output.video || output.output || output[0];
-        if (Array.isArray(videoUrl)) videoUrl = videoUrl[0];
-      }
-      if (!videoUrl) {
-        console.error('Replicate output format:', JSON.stringify(output).slice(0, 500));
-        throw new Error('No video URL in Replicate output');
-      }
-
-      if (!bucket) {
-        await jobRef.update({
-          status: 'failed',
-          errorMessage: STORAGE_UNAVAILABLE_MSG,
-          completedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-        res.status(200).send('OK');
-        return;
-      }
+    // Duplicate delivery or job already finalized elsewhere - nothing to do
+    if (TERMINAL_STATES.includes(job.status)) {
+      console.warn('Webhook for finalized job:', jobRef.id, job.status);
+      res.status(200).send('OK');
+      return;
+    }
 
-      const outputPath = `outputs/${userId}/${jobRef.id}/dance.mp4`;
-      const outputFile = bucket.file(outputPath);
-
-      const fetchResponse = await fetch(videoUrl);
-      if (!fetchResponse.ok) {
-        throw new Error(`Failed to fetch video: ${fetchResponse.status}`);
-      }
-
-      const buffer = Buffer.from(await fetchResponse.arrayBuffer());
-      try {
-        await outputFile.save(buffer, {
-          metadata: { contentType: 'video/mp4' },
-        });
-      } catch (storageErr) {
-        console.error('Storage save error:', storageErr);
-        await jobRef.update({
-          status: 'failed',
-          errorMessage: STORAGE_UNAVAILABLE_MSG,
-          completedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-        res.status(200).send('OK');
-        return;
-      }
-
-      await jobRef.update({
-        status: 'completed',
-        outputVideoPath: outputPath,
-        completedAt: admin.firestore.FieldValue.serverTimestamp(),
-        errorMessage: null,
-      });
-    } else if (status === 'failed') {
-      await jobRef.update({
-        status: 'failed',
-        errorMessage: error || 'Replicate job failed',
-        completedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-    } else if (status === 'canceled') {
-      await jobRef.update({
-        status: 'failed',
-        errorMessage: 'Job was canceled',
-        completedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-    }
+    await finalizePrediction(jobRef, job, payload, 'replicate');
   } catch (err) {
+    if (err instanceof JobTransitionError) {
+      // Lost a race with another finalizer - the job is already in a final state
+      console.warn('Webhook transition skipped:', err.message);
+      res.status(200).send('OK');
+      return;
+    }
     console.error('Webhook processing error:', err);
     res.status(500).send('Processing error');
     return;
@@ -510,179 +1181,1175 @@ exports.replicateWebhook = functions.https.onRequest(async (req, res) => {
   res.status(200).send('OK');
 });
 
+// RevenueCat webhook events that change a subscription (others, e.g. TEST, are acknowledged)
+const REVENUECAT_EVENT_TYPES = [
+  'INITIAL_PURCHASE',
+  'RENEWAL',
+  'UNCANCELLATION',
+  'CANCELLATION',
+  'EXPIRATION',
+  'BILLING_ISSUE',
+  'PRODUCT_CHANGE',
+];
+
 /**
- * API: Get signed download URL
- * POST /api/get-download-url
- * Body: { jobId: string }
- * Headers: Authorization: Bearer <firebase-id-token>
+ * Apply a RevenueCat event's subscription fields to a user doc, once per event id: the event
+ * is recorded in users/{uid}/subscriptionEvents in the same transaction. Events older than
+ * the last one applied (subscriptionEventAt) are recorded but not applied - RevenueCat
+ * doesn't guarantee delivery order.
+ * @param {FirebaseFirestore.DocumentReference} userRef
+ * @param {object} event - Webhook payload's `event`
+ * @param {object|null} fields - From subscriptionFieldsForEvent; null records the event only
+ * @returns {Promise<boolean>} true if the user doc was updated
  */
-exports.getDownloadUrl = functions.https.onRequest(async (req, res) => {
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+async function applySubscriptionEvent(userRef, event, fields) {
+  const eventRef = userRef.collection('subscriptionEvents').doc(String(event.id));
+  const eventAt = new Date(event.event_timestamp_ms || Date.now());
+  return db.runTransaction(async (tx) => {
+    const [userSnap, eventSnap] = await tx.getAll(userRef, eventRef);
+    if (eventSnap.exists) return false; // Redelivery
+
+    const user = userSnap.data();
+    const stale = user?.subscriptionEventAt && user.subscriptionEventAt.toMillis() > eventAt.getTime();
+    const apply = !!fields && !stale;
+    if (apply) {
+      // Status changes count as a fresh subscription check (helpers/subscription-cache)
+      const checked = fields.subscriptionStatus
+        ? { subscriptionCheckedAt: admin.firestore.FieldValue.serverTimestamp() }
+        : {};
+      await applyPlanChange(tx, userRef, user, { ...fields, ...checked, subscriptionEventAt: eventAt }, {
+        actor: 'system:revenuecatWebhook',
+      });
+    }
+    tx.set(eventRef, {
+      type: event.type,
+      productId: event.new_product_id || event.product_id || null,
+      environment: event.environment || null,
+      eventAt,
+      applied: apply,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return apply;
+  });
+}
 
-  if (req.method === 'OPTIONS') {
-    res.status(204).send('');
+/**
+ * RevenueCat webhook: keeps users/{uid} (subscriptionStatus, plan, willRenew, ...) in step
+ * with subscription events, so the app's user doc listener sees renewals, cancellations and
+ * expirations as they happen rather than on the user's next request.
+ * The Authorization header must match REVENUECAT_WEBHOOK_AUTH (the value set for the webhook
+ * in the RevenueCat dashboard). Errors answer 500 so RevenueCat retries; redeliveries are
+ * no-ops (applySubscriptionEvent).
+ */
+exports.revenuecatWebhook = functions.https.onRequest(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).send('Method not allowed');
     return;
   }
 
-  if (req.method !== 'POST') {
-    res.status(405).json({ error: 'Method not allowed' });
+  const expectedAuth = config().revenuecatWebhookAuth;
+  if (!expectedAuth) {
+    // Unverified events could hand out paid plans - refuse rather than trust them
+    console.error('REVENUECAT_WEBHOOK_AUTH not set - rejecting RevenueCat webhook');
+    res.status(503).send('Webhook not configured');
+    return;
+  }
+  if (!verifyWebhookAuthorization(req.headers.authorization, expectedAuth)) {
+    console.error('RevenueCat webhook: invalid Authorization header');
+    res.status(401).send('Unauthorized');
+    return;
+  }
+
+  const event = req.body?.event;
+  if (!event?.id || !event.type) {
+    res.status(400).send('Missing event');
+    return;
+  }
+  if (!REVENUECAT_EVENT_TYPES.includes(event.type)) {
+    res.status(200).send('OK');
     return;
   }
 
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith('Bearer ')) {
-      res.status(401).json({ error: 'Missing or invalid Authorization header' });
+    const userIds = eventUserIds(event);
+    const userSnaps = userIds.length
+      ? await db.getAll(...userIds.map((id) => db.collection('users').doc(id)))
+      : [];
+    const userSnap = userSnaps.find((snap) => snap.exists);
+    if (!userSnap) {
+      console.warn('RevenueCat webhook: no user for event', event.id, event.type, userIds.join(', '));
+      res.status(200).send('OK');
       return;
     }
 
-    const idToken = authHeader.split('Bearer ')[1];
-    const decodedToken = await auth.verifyIdToken(idToken);
-    const userId = decodedToken.uid;
-
-    const { jobId } = req.body || {};
-    if (!jobId) {
-      res.status(400).json({ error: 'jobId is required' });
-      return;
+    let fields = subscriptionFieldsForEvent(event);
+    if (event.type === 'PRODUCT_CHANGE') {
+      // The new product may only apply at renewal - ask RevenueCat which plan is current
+      // (a failed lookup throws: 500, so RevenueCat retries). No access here means it lapsed,
+      // which EXPIRATION covers.
+      const subValidation = await validateSubscription(userSnap.id, config().revenuecatSecret);
+      fields = subValidation.hasAccess
+        ? { subscriptionStatus: subValidation.subscriptionStatus, plan: subValidation.plan }
+        : null;
     }
 
-    const jobSnap = await db.collection('jobs').doc(jobId).get();
-    if (!jobSnap.exists) {
-      res.status(404).json({ error: 'Job not found' });
-      return;
+    const applied = await applySubscriptionEvent(userSnap.ref, event, fields);
+    console.log('RevenueCat webhook:', event.type, event.id, userSnap.id, applied ? 'applied' : 'skipped');
+  } catch (err) {
+    console.error('RevenueCat webhook processing error:', err);
+    res.status(500).send('Processing error');
+    return;
+  }
+
+  res.status(200).send('OK');
+});
+
+/**
+ * API: Get signed download URL
+ * GET /api/v1/jobs/:id/download?disposition=attachment|inline&audio=music|none
+ *   &format=original|vertical|square|landscape
+ *   (legacy: POST /getDownloadUrl, { jobId, disposition?, audio?, format? } in body)
+ * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * Returns: { downloadUrl, filename, expiresIn, expiresAt, watermarked } - a V4 signed URL valid
+ * for DOWNLOAD_URL_TTL_MINUTES. `attachment` (default) downloads as petdance-<style>-<date>.mp4;
+ * `inline` is for playing/streaming in a <video> (Range requests work, so seeking does too).
+ * Free users get the watermarked copy; paid users the clean master, including for old videos.
+ * audio=none: the version without background music (same as the default if it has none).
+ * format: an export rendition (9:16, 1:1, 16:9 - built by buildRenditions, with music).
+ */
+async function handleGetDownloadUrl(req, res) {
+  const userId = req.user.uid;
+
+  const jobId = req.params.id;
+  const {
+    disposition = 'attachment',
+    audio = 'music',
+    format = 'original',
+  } = req.method === 'GET' ? req.query : req.body;
+  const { job } = await loadOwnedJob(jobId, userId);
+
+  if (job.status !== JOB_STATES.COMPLETED || !job.outputVideoPath) {
+    throw new HttpError('FAILED_PRECONDITION', 'Video not ready for download');
+  }
+  if (!bucket) {
+    throw new HttpError('UNAVAILABLE', STORAGE_UNAVAILABLE_MSG);
+  }
+
+  const rendition = RENDITIONS[format];
+  const silent = !rendition && audio === 'none' && !!job.silentVideoPath;
+  const files = videoFiles(job, { silent, format });
+  if (!files) {
+    throw new HttpError('FAILED_PRECONDITION', job.renditionsStatus === 'failed'
+      ? `The ${rendition.aspect} version of this video could not be created`
+      : `The ${rendition.aspect} version is still being prepared. Please try again in a minute.`);
+  }
+
+  let suffix;
+  if (rendition) suffix = rendition.suffix;
+  else if (silent) suffix = 'no-music';
+  const filename = videoFilename(job, { suffix });
+  const videoPath = await servedVideoPath(job, files);
+  const { url, expiresAt } = await signJobFile(job, jobId, videoPath, {
+    ttlMinutes: DOWNLOAD_URL_TTL_MINUTES,
+    disposition,
+    filename,
+    contentType: 'video/mp4',
+  });
+
+  res.set('Cache-Control', 'private, no-store');
+  res.status(200).json({
+    downloadUrl: url,
+    filename,
+    expiresIn: Math.round((expiresAt.getTime() - Date.now()) / 1000),
+    expiresAt: expiresAt.toISOString(),
+    watermarked: videoPath !== files.clean,
+    hasMusic: !silent && !!job.silentVideoPath,
+  });
+}
+
+exports.getDownloadUrl = functions.https.onRequest(endpoint('getDownloadUrl', {
+  methods: ['POST'],
+  auth: true,
+  body: { ...JOB_ID_BODY, ...DOWNLOAD_OPTIONS },
+}, withLegacyJobId(handleGetDownloadUrl)));
+
+/**
+ * API: Get job status
+ * GET /api/v1/jobs/:id (legacy: GET /getJobStatus?jobId=xxx)
+ * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * Completed jobs also return signed posterUrl / previewUrl (animated WebP) and the video's
+ * durationSeconds, width and height, so lists can show previews without loading the MP4,
+ * plus the download formats available so far (renditionsStatus: processing|ready|failed).
+ */
+async function handleGetJobStatus(req, res) {
+  const userId = req.user.uid;
+
+  const jobId = req.params.id;
+  const { job } = await loadOwnedJob(jobId, userId);
+
+  const data = {
+    jobId,
+    status: job.status,
+    danceStyle: job.danceStyle,
+    createdAt: job.createdAt?.toDate?.()?.toISOString?.(),
+    completedAt: job.completedAt?.toDate?.()?.toISOString?.(),
+    errorMessage: job.errorMessage,
+  };
+
+  if (job.status === JOB_STATES.COMPLETED && job.outputVideoPath) {
+    data.outputVideoPath = job.outputVideoPath;
+    if (bucket && (job.posterPath || job.previewPath)) {
+      Object.assign(data, await signJobPreviews(job, jobId));
+    }
+    if (job.video) {
+      data.durationSeconds = job.video.durationSeconds;
+      data.width = job.video.width;
+      data.height = job.video.height;
     }
+    data.renditionsStatus = job.renditionsStatus || null;
+    data.formats = ['original', ...Object.keys(job.renditions || {})];
+  }
 
-    const job = jobSnap.data();
-    if (job.userId !== userId) {
-      res.status(403).json({ error: 'Unauthorized' });
-      return;
+  res.status(200).json(data);
+}
+
+exports.getJobStatus = functions.https.onRequest(endpoint('getJobStatus', {
+  methods: ['GET'],
+  auth: true,
+  query: JOB_ID_QUERY,
+}, withLegacyJobId(handleGetJobStatus)));
+
+/** Signed poster and animated preview URLs of a completed job (null for missing ones) */
+async function signJobPreviews(job, jobId) {
+  const sign = (path) => (path
+    ? signJobFile(job, jobId, path, { ttlMinutes: DOWNLOAD_URL_TTL_MINUTES }).then((u) => u.url)
+    : null);
+  const [posterUrl, previewUrl] = await Promise.all([sign(job.posterPath), sign(job.previewPath)]);
+  return { posterUrl, previewUrl };
+}
+
+/**
+ * API: Preview URLs for several jobs at once (history page)
+ * POST /api/v1/jobs/previews
+ * Headers: Authorization: Bearer <firebase-id-token>
+ * Body: { jobIds: string[] } - at most MAX_PREVIEW_JOBS
+ *
+ * One request for a whole list instead of a status call per job.
+ * Returns: { previews: { <jobId>: { posterUrl, previewUrl } } } - only the caller's completed
+ *   jobs with previews; other ids are left out
+ */
+async function handleGetJobPreviews(req, res) {
+  const userId = req.user.uid;
+
+  const jobIds = [...new Set(req.body.jobIds)];
+  if (jobIds.some((id) => typeof id !== 'string' || !id || id.length > 128 || id.includes('/'))) {
+    throw new HttpError('INVALID_ARGUMENT', 'jobIds must be a list of job ids');
+  }
+  if (jobIds.length > MAX_PREVIEW_JOBS) {
+    throw new HttpError('INVALID_ARGUMENT', `At most ${MAX_PREVIEW_JOBS} jobs per request`);
+  }
+  if (!bucket) {
+    throw new HttpError('UNAVAILABLE', STORAGE_UNAVAILABLE_MSG);
+  }
+
+  const jobSnaps = jobIds.length
+    ? await db.getAll(...jobIds.map((id) => db.collection('jobs').doc(id)))
+    : [];
+  const previews = {};
+  await Promise.all(jobSnaps.map(async (snap) => {
+    const job = snap.data();
+    if (!job || job.userId !== userId || job.status !== JOB_STATES.COMPLETED) return;
+    if (!job.posterPath && !job.previewPath) return;
+    try {
+      previews[snap.id] = await signJobPreviews(job, snap.id);
+    } catch (err) {
+      console.warn('Preview signing failed:', snap.id, err.message);
     }
+  }));
 
-    if (job.status !== 'completed' || !job.outputVideoPath) {
-      res.status(400).json({ error: 'Video not ready for download' });
-      return;
+  res.set('Cache-Control', 'private, no-store');
+  res.status(200).json({ previews });
+}
+
+/**
+ * API: Cancel job
+ * POST /api/v1/jobs/:id/cancel (legacy: POST /cancelJob, jobId in body)
+ * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * Marks the job canceled, then cancels its Replicate prediction (if submitted) - never the
+ * other way round, so a job that can't be canceled keeps its prediction running.
+ * The job's credit comes back (refundCredits).
+ */
+async function handleCancelJob(req, res) {
+  const userId = req.user.uid;
+
+  const jobId = req.params.id;
+  const { jobRef, job } = await loadOwnedJob(jobId, userId);
+
+  if (TERMINAL_STATES.includes(job.status)) {
+    throw new HttpError('FAILED_PRECONDITION', `Job already ${job.status}`);
+  }
+
+  let canceled;
+  try {
+    ({ job: canceled } = await transitionJob(db, jobRef, JOB_STATES.CANCELED, {
+      actor: `user:${userId}`,
+      reason: 'canceled by user',
+      fields: { errorMessage: 'Job was canceled' },
+    }));
+  } catch (err) {
+    if (!(err instanceof JobTransitionError)) throw err;
+    throw new HttpError('FAILED_PRECONDITION', `Job already ${err.from}`);
+  }
+
+  // Best effort, using the prediction id read in the transaction - if Replicate can't cancel,
+  // its late webhook hits a canceled job and is ignored. A submission still in flight cancels
+  // its own prediction when it sees the job left `queued` (submitPrediction).
+  if (canceled.replicateJobId && !canceled.replicateJobId.startsWith('mock-')) {
+    try {
+      await cancelPrediction(canceled.replicateJobId, config().replicateToken);
+    } catch (cancelErr) {
+      console.warn('cancelJob: Replicate cancel failed:', canceled.replicateJobId, cancelErr.message);
     }
+  }
+
+  res.status(200).json({ jobId, status: JOB_STATES.CANCELED });
+}
+
+exports.cancelJob = functions.https.onRequest(endpoint('cancelJob', {
+  methods: ['POST'],
+  auth: true,
+  body: JOB_ID_BODY,
+}, withLegacyJobId(handleCancelJob)));
+
+/**
+ * API: Refresh subscription status from RevenueCat
+ * POST /api/v1/subscription (legacy: POST /refreshSubscription)
+ * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * Call after purchase to sync user doc with RevenueCat (skips the subscription cache).
+ *
+ * Returns: { subscriptionStatus, hasAccess, plan: { id, label, dailyJobs, qualityTiers,
+ *   maxResolution, durationSeconds, proStyles, watermark }, source } - as stored on the user
+ *   doc; source is 'fallback' if RevenueCat couldn't be reached and nothing was refreshed
+ */
+async function handleRefreshSubscription(req, res) {
+  const userId = req.user.uid;
+  const email = req.user.email || '';
+
+  await getOrCreateUser(userId, email);
+  const { user, source } = await getSubscription(db, userId, { force: true });
+  const planId = planIdFor(user);
+
+  res.status(200).json({
+    subscriptionStatus: user?.subscriptionStatus || 'none',
+    hasAccess: planId !== FREE_PLAN,
+    plan: toPublicPlan(planId),
+    source,
+  });
+}
+
+exports.refreshSubscription = functions.https.onRequest(endpoint('refreshSubscription', {
+  methods: ['POST'],
+  auth: true,
+}, handleRefreshSubscription));
+
+/**
+ * API: Dance style catalog (public)
+ * GET /api/v1/styles (legacy: GET /getStyles)
+ *
+ * Returns: { styles: [{ id, label, emoji, description, previewVideoPath, proOnly }] }
+ */
+async function handleGetStyles(req, res) {
+  const styles = await listStyles(db);
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json({ styles: styles.map(toPublicStyle) });
+}
+
+exports.getStyles = functions.https.onRequest(endpoint('getStyles', {
+  methods: ['GET'],
+}, handleGetStyles));
 
-    res.status(200).json({ outputVideoPath: job.outputVideoPath, expiresIn: 3600 });
-  } catch (error) {
-    console.error('getDownloadUrl error:', error);
-    res.status(500).json({ error: error.message || 'Internal server error' });
+/**
+ * API: Dry-run a job's Replicate input (prompt tuning)
+ * POST /previewPrediction
+ * Body: { jobId: string, model?: string, promptTemplate?: string, negativePrompt?: string }
+ * Headers: Authorization: Bearer <firebase-id-token> (requires admin custom claim)
+ *
+ * Renders the exact input startJob would send - nothing is submitted to Replicate.
+ * model / promptTemplate / negativePrompt override the job's values for this preview only.
+ */
+exports.previewPrediction = functions.https.onRequest(endpoint('previewPrediction', {
+  methods: ['POST'],
+  auth: 'admin',
+  body: PREVIEW_BODY,
+}, async (req, res) => {
+  const { jobId, model, promptTemplate, negativePrompt } = req.body;
+  const jobSnap = await db.collection('jobs').doc(jobId).get();
+  if (!jobSnap.exists) {
+    throw new HttpError('NOT_FOUND', 'Job not found');
   }
-});
+
+  const job = jobSnap.data();
+  const replicateModel = (typeof model === 'string' && model) || job.replicateModel || defaultModel();
+  const prompts = await resolveJobPrompt(job, replicateModel, { promptTemplate, negativePrompt });
+  const imagePath = job.normalizedImagePath || job.inputImagePath;
+  const imageUrl = bucket ? `gs://${bucket.name}/${imagePath}` : imagePath;
+
+  const rendered = buildPredictionInput(imageUrl, job.danceStyle, replicateModel, {
+    resolution: job.resolution,
+    duration: job.duration,
+    ...prompts,
+  });
+
+  res.status(200).json({
+    jobId,
+    model: replicateModel,
+    ...rendered,
+    estimatedCostUsd: getAdapter(replicateModel).estimateCost(rendered),
+  });
+}));
+
+/** Active share for a share id, with its job - null if unknown, revoked or not playable */
+async function loadActiveShare(shareId) {
+  if (!isShareId(shareId)) return null;
+  const shareSnap = await db.collection('shares').doc(shareId).get();
+  if (!shareSnap.exists || shareSnap.data().revokedAt) return null;
+  const jobSnap = await db.collection('jobs').doc(shareSnap.data().jobId).get();
+  const job = jobSnap.data();
+  if (!job || job.status !== JOB_STATES.COMPLETED || !job.outputVideoPath || job.shareId !== shareId) {
+    return null;
+  }
+  return { shareRef: shareSnap.ref, share: shareSnap.data(), job };
+}
 
 /**
- * API: Get job status
- * GET /api/job-status?jobId=xxx
+ * Signed poster for a shared video - the video's own frame, or the pet photo for older jobs
+ * @returns {Promise<{ url: string, expiresAt: Date }|null>}
+ */
+async function signSharePoster(job, jobId, ttlMinutes) {
+  if (job.posterPath) return signJobFile(job, jobId, job.posterPath, { ttlMinutes });
+  if (job.normalizedImagePath) {
+    return signJobFile(job, jobId, job.normalizedImagePath, { ttlMinutes }, 'uploads');
+  }
+  return null;
+}
+
+async function styleLabel(styleId) {
+  const style = (await listStyles(db, { includeDisabled: true })).find((s) => s.id === styleId);
+  return style ? style.label : 'Dance';
+}
+
+/**
+ * API: Create share link
+ * POST /api/v1/jobs/:id/share (legacy: POST /createShareLink, jobId in body)
  * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * Returns: { shareId, shareUrl } - the job's existing active link if it has one
  */
-exports.getJobStatus = functions.https.onRequest(async (req, res) => {
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Authorization');
+async function handleCreateShareLink(req, res) {
+  const userId = req.user.uid;
 
-  if (req.method === 'OPTIONS') {
-    res.status(204).send('');
-    return;
+  const jobId = req.params.id;
+  const { jobRef, job } = await loadOwnedJob(jobId, userId);
+  if (job.status !== JOB_STATES.COMPLETED || !job.outputVideoPath) {
+    throw new HttpError('FAILED_PRECONDITION', 'Only finished videos can be shared');
   }
 
-  if (req.method !== 'GET') {
-    res.status(405).json({ error: 'Method not allowed' });
-    return;
+  const shareId = await db.runTransaction(async (tx) => {
+    const current = (await tx.get(jobRef)).data();
+    if (current.shareId) return current.shareId;
+    const id = newShareId();
+    tx.set(db.collection('shares').doc(id), {
+      jobId,
+      userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      revokedAt: null,
+      viewCount: 0,
+      lastViewedAt: null,
+    });
+    tx.update(jobRef, { shareId: id });
+    return id;
+  });
+
+  res.status(200).json({ shareId, shareUrl: shareUrl(shareId) });
+}
+
+exports.createShareLink = functions.https.onRequest(endpoint('createShareLink', {
+  methods: ['POST'],
+  auth: true,
+  body: JOB_ID_BODY,
+}, withLegacyJobId(handleCreateShareLink)));
+
+/**
+ * API: Revoke share link
+ * DELETE /api/v1/jobs/:id/share (legacy: POST /revokeShareLink, jobId in body)
+ * Headers: Authorization: Bearer <firebase-id-token>
+ *
+ * The link stops working immediately; video URLs already handed out expire on their own.
+ */
+async function handleRevokeShareLink(req, res) {
+  const userId = req.user.uid;
+
+  const jobId = req.params.id;
+  const { jobRef, job } = await loadOwnedJob(jobId, userId);
+  if (!job.shareId) {
+    throw new HttpError('NOT_FOUND', 'This video is not shared');
+  }
+
+  const batch = db.batch();
+  batch.update(db.collection('shares').doc(job.shareId), {
+    revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  batch.update(jobRef, { shareId: null });
+  await batch.commit();
+
+  res.status(200).json({ jobId, shareId: job.shareId, revoked: true });
+}
+
+exports.revokeShareLink = functions.https.onRequest(endpoint('revokeShareLink', {
+  methods: ['POST'],
+  auth: true,
+  body: JOB_ID_BODY,
+}, withLegacyJobId(handleRevokeShareLink)));
+
+/**
+ * API: Shared video (public, used by share.html)
+ * GET /api/v1/shares/:shareId
+ *
+ * Counts a view. Returns: { shareId, danceStyle, styleLabel, videoUrl, posterUrl, viewCount }
+ */
+async function handleGetShare(req, res) {
+  const found = await loadActiveShare(req.params.shareId);
+  if (!found) {
+    throw new HttpError('NOT_FOUND', 'This video is no longer shared');
+  }
+  if (!bucket) {
+    throw new HttpError('UNAVAILABLE', STORAGE_UNAVAILABLE_MSG);
   }
+  const { shareRef, share, job } = found;
+
+  const [video, poster] = await Promise.all([
+    signJobFile(job, share.jobId, await servedVideoPath(job), {
+      ttlMinutes: DOWNLOAD_URL_TTL_MINUTES,
+      disposition: 'inline',
+      filename: videoFilename(job),
+      contentType: 'video/mp4',
+    }),
+    signSharePoster(job, share.jobId, DOWNLOAD_URL_TTL_MINUTES),
+  ]);
+
+  await shareRef.update({
+    viewCount: admin.firestore.FieldValue.increment(1),
+    lastViewedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  res.set('Cache-Control', 'private, no-store');
+  res.status(200).json({
+    shareId: req.params.shareId,
+    danceStyle: job.danceStyle,
+    styleLabel: await styleLabel(job.danceStyle),
+    videoUrl: video.url,
+    posterUrl: poster ? poster.url : null,
+    viewCount: (share.viewCount || 0) + 1,
+  });
+}
 
+/**
+ * Link preview for /s/:shareId (Hosting rewrite). Crawlers read the Open Graph / Twitter
+ * tags; browsers are redirected to share.html. Unknown or revoked links still redirect,
+ * so share.html can explain. Not counted as a view.
+ */
+async function handleSharePreview(req, res) {
+  const { shareId } = req.params;
+  let preview = {
+    shareId,
+    title: 'PetDance - Make your pet dance',
+    description: 'Turn a pet photo into a dancing video with AI.',
+  };
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith('Bearer ')) {
-      res.status(401).json({ error: 'Missing or invalid Authorization header' });
-      return;
+    const found = bucket ? await loadActiveShare(shareId) : null;
+    if (found) {
+      const { share, job } = found;
+      const label = await styleLabel(job.danceStyle);
+      const [video, poster] = await Promise.all([
+        signJobFile(job, share.jobId, await servedVideoPath(job), {
+          ttlMinutes: SHARE_PREVIEW_TTL_MINUTES,
+          contentType: 'video/mp4',
+        }),
+        signSharePoster(job, share.jobId, SHARE_PREVIEW_TTL_MINUTES),
+      ]);
+      preview = {
+        shareId,
+        title: `Watch this pet dance ${label}! 🐾`,
+        description: 'Made with PetDance - turn your pet photo into a dancing video.',
+        imageUrl: poster?.url,
+        videoUrl: video.url,
+        width: job.video?.width || job.inputImage?.normalizedWidth,
+        height: job.video?.height || job.inputImage?.normalizedHeight,
+      };
     }
+  } catch (err) {
+    console.error('sharePreview error:', shareId, err);
+  }
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).type('html').send(renderSharePreview(preview));
+}
+
+/**
+ * REST API - one function, versioned routes. Hosting rewrites /api/** here so the web
+ * app calls same-origin paths; the function URL also works without the /api prefix.
+ *
+ *   POST /v1/jobs                 create job
+ *   POST /v1/jobs/previews        poster / preview URLs for a list of jobs
+ *   GET  /v1/jobs/:id             job status
+ *   POST /v1/jobs/:id/start       start processing
+ *   POST /v1/jobs/:id/cancel      cancel
+ *   GET  /v1/jobs/:id/download    signed download URL
+ *   POST /v1/batches              create jobs for several styles from one photo
+ *   GET  /v1/batches/:id          batch progress
+ *   POST /v1/batches/:id/start    start every job in the batch
+ *   POST /v1/jobs/:id/share       create (or return) the public share link
+ *   DELETE /v1/jobs/:id/share     revoke it
+ *   GET  /v1/shares/:shareId      shared video for share.html (public, counts a view)
+ *   POST /v1/subscription         refresh subscription status
+ *   GET  /v1/styles               style catalog (public)
+ *   GET  /s/:shareId              link preview page (Open Graph / Twitter tags)
+ *
+ * The per-function endpoints above share these handlers and keep working during migration.
+ */
+const v1 = express.Router();
+v1.all('/jobs', endpoint('api:createJob', {
+  methods: ['POST'],
+  auth: true,
+  body: CREATE_JOB_BODY,
+}, handleCreateJob));
+v1.all('/jobs/previews', endpoint('api:getJobPreviews', {
+  methods: ['POST'],
+  auth: true,
+  body: JOB_PREVIEWS_BODY,
+}, handleGetJobPreviews));
+v1.all('/jobs/:id', endpoint('api:getJobStatus', {
+  methods: ['GET'],
+  auth: true,
+}, handleGetJobStatus));
+v1.all('/jobs/:id/start', endpoint('api:startJob', {
+  methods: ['POST'],
+  auth: true,
+}, handleStartJob));
+v1.all('/jobs/:id/cancel', endpoint('api:cancelJob', {
+  methods: ['POST'],
+  auth: true,
+}, handleCancelJob));
+v1.all('/jobs/:id/download', endpoint('api:getDownloadUrl', {
+  methods: ['GET'],
+  auth: true,
+  query: DOWNLOAD_OPTIONS,
+}, handleGetDownloadUrl));
+v1.all('/batches', endpoint('api:createBatch', {
+  methods: ['POST'],
+  auth: true,
+  body: CREATE_BATCH_BODY,
+}, handleCreateBatch));
+v1.all('/batches/:id', endpoint('api:getBatch', {
+  methods: ['GET'],
+  auth: true,
+}, handleGetBatch));
+v1.all('/batches/:id/start', endpoint('api:startBatch', {
+  methods: ['POST'],
+  auth: true,
+}, handleStartBatch));
+v1.all('/subscription', endpoint('api:refreshSubscription', {
+  methods: ['POST'],
+  auth: true,
+}, handleRefreshSubscription));
+v1.all('/jobs/:id/share', endpoint('api:shareLink', {
+  methods: ['POST', 'DELETE'],
+  auth: true,
+}, (req, res) => (req.method === 'DELETE'
+  ? handleRevokeShareLink(req, res)
+  : handleCreateShareLink(req, res))));
+v1.all('/shares/:shareId', endpoint('api:getShare', {
+  methods: ['GET'],
+}, handleGetShare));
+v1.all('/styles', endpoint('api:getStyles', {
+  methods: ['GET'],
+}, handleGetStyles));
+
+const api = express();
+api.use(['/api/v1', '/v1'], v1);
+api.get('/s/:shareId', handleSharePreview);
+api.use((req, res) => {
+  sendError(res, 'api', new HttpError('NOT_FOUND', `No route for ${req.method} ${req.path}`));
+});
 
-    const idToken = authHeader.split('Bearer ')[1];
-    const decodedToken = await auth.verifyIdToken(idToken);
-    const userId = decodedToken.uid;
+exports.api = functions.https.onRequest(api);
 
-    const jobId = req.query.jobId;
-    if (!jobId) {
-      res.status(400).json({ error: 'jobId query param required' });
-      return;
-    }
+/**
+ * Jobs fed by an upload folder and the photos they need: the job itself (one photo per pet),
+ * or every job of a batch (one shared photo)
+ * @returns {Promise<{ jobRefs: FirebaseFirestore.DocumentReference[], photoPaths: string[] }>}
+ */
+async function uploadTarget(uploadId) {
+  const batchSnap = await db.collection('batches').doc(uploadId).get();
+  if (batchSnap.exists) {
+    const batch = batchSnap.data();
+    return {
+      jobRefs: batch.jobIds.map((id) => db.collection('jobs').doc(id)),
+      photoPaths: [batch.inputImagePath],
+    };
+  }
+  const jobRef = db.collection('jobs').doc(uploadId);
+  const job = (await jobRef.get()).data();
+  return { jobRefs: [jobRef], photoPaths: job ? job.inputImagePaths || [job.inputImagePath] : [] };
+}
 
-    const jobSnap = await db.collection('jobs').doc(jobId).get();
-    if (!jobSnap.exists) {
-      res.status(404).json({ error: 'Job not found' });
-      return;
+/**
+ * Sizes of a job's uploaded photos, or null while some are still missing. The photo that
+ * triggered processUpload is known from the event; the others are looked up.
+ */
+async function uploadedPhotoSizes(photoPaths, event) {
+  const sizes = await Promise.all(photoPaths.map((path) => (path === event.data.name
+    ? Number(event.data.size)
+    : bucket.file(path).getMetadata().then(([metadata]) => Number(metadata.size), (err) => {
+      if (err.code === 404) return null;
+      throw err;
+    }))));
+  return sizes.includes(null) ? null : sizes;
+}
+
+/**
+ * Storage trigger: validate + normalize an uploaded pet photo (see helpers/image-pipeline)
+ * uploads/{userId}/{jobId}/original.jpg -> uploads/{userId}/{jobId}/normalized.jpg
+ * For a batch the folder is the batch id and the result is shared by all of its jobs.
+ * Multi-pet jobs wait for every photo (original.jpg, original-2.jpg, ...), normalize each
+ * and combine them into one group scene as normalized.jpg.
+ *
+ * Jobs are `uploading` while this runs, then back to `pending` with normalizedImagePath
+ * (ready for startJob), or `failed` with the reason shown to the user.
+ */
+exports.processUpload = functions.storage.onObjectFinalized({
+  bucket: BUCKET_NAME,
+  memory: '1GiB',
+}, async (event) => {
+  const match = /^uploads\/([^/]+)\/([^/]+)\/original(?:-\d)?\.jpg$/.exec(event.data.name || '');
+  if (!match) return;
+  const [, userId, uploadId] = match;
+  const actor = 'system:processUpload';
+
+  const { jobRefs, photoPaths } = await uploadTarget(uploadId);
+  if (!photoPaths.includes(event.data.name)) {
+    console.warn('processUpload: no job expects', event.data.name);
+    return;
+  }
+  const sizes = await uploadedPhotoSizes(photoPaths, event);
+  if (!sizes) {
+    console.log('processUpload: waiting for the other pet photos of', uploadId);
+    return;
+  }
+
+  // Re-uploads are re-checked; uploads for jobs already started are ignored
+  const claimed = [];
+  for (const jobRef of jobRefs) {
+    try {
+      const { job } = await transitionJob(db, jobRef, JOB_STATES.UPLOADING, {
+        actor,
+        reason: 'photo uploaded',
+        from: [JOB_STATES.PENDING],
+        fields: { normalizedImagePath: null },
+      });
+      claimed.push({ jobRef, job });
+    } catch (err) {
+      if (!(err instanceof JobTransitionError)) throw err;
+      console.warn('processUpload: ignoring upload for job', jobRef.id, 'in state', err.from);
+    }
+  }
+  if (!claimed.length) return;
+
+  // Settle each claimed job; one that changed meanwhile (e.g. canceled) is left alone
+  const settleAll = (to, opts) => Promise.all(claimed.map(({ jobRef }) => transitionJob(db, jobRef, to, {
+    actor,
+    from: [JOB_STATES.UPLOADING],
+    ...opts,
+  }).catch((err) => {
+    if (!(err instanceof JobTransitionError)) throw err;
+    console.warn('processUpload: job changed during validation', jobRef.id, err.from);
+  })));
+
+  // With several pets, say which photo was rejected
+  const checkPhoto = async (i, fn) => {
+    try {
+      return await fn();
+    } catch (err) {
+      if (photoPaths.length > 1 && err instanceof ImageValidationError) {
+        throw new ImageValidationError(`Pet photo ${i + 1}: ${err.message}`);
+      }
+      throw err;
     }
+  };
 
-    const job = jobSnap.data();
-    if (job.userId !== userId) {
-      res.status(403).json({ error: 'Unauthorized' });
-      return;
+  try {
+    if (claimed.some(({ job }) => job.userId !== userId)) {
+      throw new ImageValidationError('Upload does not belong to this job');
     }
 
-    const data = {
-      jobId,
-      status: job.status,
-      danceStyle: job.danceStyle,
-      createdAt: job.createdAt?.toDate?.()?.toISOString?.(),
-      completedAt: job.completedAt?.toDate?.()?.toISOString?.(),
-      errorMessage: job.errorMessage,
-    };
+    // Batch jobs share one model assignment, so one normalized photo suits them all
+    const { job } = claimed[0];
+    const adapter = getAdapter(job.replicateModel || defaultModel());
+    const { resolution } = resolveOutputOptions(adapter, { resolution: job.resolution });
+
+    const photos = [];
+    for (const [i, path] of photoPaths.entries()) {
+      photos.push(await checkPhoto(i, async () => {
+        checkSize(sizes[i]);
+        const [buffer] = await bucket.file(path).download();
+        return { bytes: buffer.length, ...await normalizeImage(buffer, { resolution }) };
+      }));
+    }
+    const describe = (photo) => ({
+      type: photo.sourceType,
+      width: photo.sourceWidth,
+      height: photo.sourceHeight,
+      bytes: photo.bytes,
+      normalizedWidth: photo.width,
+      normalizedHeight: photo.height,
+    });
 
-    if (job.status === 'completed' && job.outputVideoPath) {
-      data.outputVideoPath = job.outputVideoPath;
+    const normalizedImagePath = `uploads/${userId}/${uploadId}/normalized.jpg`;
+    const save = (path, buffer) => bucket.file(path).save(buffer, {
+      metadata: { contentType: 'image/jpeg' },
+    });
+    let fields;
+    if (photos.length === 1) {
+      await save(normalizedImagePath, photos[0].buffer);
+      fields = { normalizedImagePath, inputImage: describe(photos[0]) };
+    } else {
+      const group = await composeGroupPhoto(photos.map((photo) => photo.buffer), { resolution });
+      await save(normalizedImagePath, group.buffer);
+      fields = {
+        normalizedImagePath,
+        inputImage: { pets: photos.length, normalizedWidth: group.width, normalizedHeight: group.height },
+        inputImages: photos.map(describe),
+      };
     }
 
-    res.status(200).json(data);
-  } catch (error) {
-    console.error('getJobStatus error:', error);
-    res.status(500).json({ error: error.message || 'Internal server error' });
+    await settleAll(JOB_STATES.PENDING, { reason: 'photo validated', fields });
+  } catch (err) {
+    const rejected = err instanceof ImageValidationError;
+    if (!rejected) console.error('processUpload error:', uploadId, err);
+    await settleAll(JOB_STATES.FAILED, {
+      reason: rejected ? `photo rejected: ${err.message}` : `photo processing failed: ${err.message}`,
+      fields: {
+        errorMessage: rejected ? err.message : 'We could not process your photo. Please try another one.',
+      },
+    }).catch((e) => console.error('processUpload failure transition:', e.message));
   }
 });
 
 /**
- * API: Refresh subscription status from RevenueCat
- * POST /refreshSubscription
- * Headers: Authorization: Bearer <firebase-id-token>
+ * Firestore trigger: export formats for a finished video (see helpers/renditions)
+ * outputs/{userId}/{jobId}/dance.mp4 -> dance-9x16.mp4, dance-1x1.mp4, dance-16x9.mp4,
+ * plus -watermarked copies when the job has a free-tier watermarked video.
  *
- * Call after purchase to sync user doc with RevenueCat.
+ * Runs once per job, when it becomes `completed`. renditionsStatus is `processing`
+ * meanwhile, then `ready` with job.renditions, or `failed` (the original still downloads).
  */
-exports.refreshSubscription = functions.https.onRequest((req, res) => {
-  cors(req, res, async () => {
-    if (req.method === 'OPTIONS') {
-      res.status(204).send('');
-      return;
+exports.buildRenditions = functions.firestore.onDocumentUpdated({
+  document: 'jobs/{jobId}',
+  memory: '2GiB',
+  timeoutSeconds: 540,
+}, async (event) => {
+  const before = event.data.before.data();
+  const job = event.data.after.data();
+  if (before.status === JOB_STATES.COMPLETED || job.status !== JOB_STATES.COMPLETED) return;
+  if (!job.outputVideoPath || job.renditionsStatus || !bucket) return;
+  const jobRef = event.data.after.ref;
+  const { jobId } = event.params;
+
+  // Trigger deliveries can repeat - claim the job first
+  const claimed = await db.runTransaction(async (tx) => {
+    const current = (await tx.get(jobRef)).data();
+    if (current.renditionsStatus) return false;
+    tx.update(jobRef, { renditionsStatus: 'processing' });
+    return true;
+  });
+  if (!claimed) return;
+
+  try {
+    const [video] = await bucket.file(job.outputVideoPath).download();
+    const base = `outputs/${job.userId}/${jobId}`;
+    const save = (filePath, buffer) => bucket.file(filePath).save(buffer, {
+      metadata: { contentType: 'video/mp4' },
+    });
+
+    const renditions = {};
+    for (const [name, spec] of Object.entries(RENDITIONS)) {
+      const rendered = await renderRendition(video, name);
+      const renditionPath = `${base}/dance-${spec.suffix}.mp4`;
+      await save(renditionPath, rendered);
+      let watermarkedPath = null;
+      if (job.watermarkedVideoPath) {
+        watermarkedPath = `${base}/dance-${spec.suffix}-watermarked.mp4`;
+        await save(watermarkedPath, await watermarkVideo(rendered));
+      }
+      renditions[name] = {
+        path: renditionPath,
+        watermarkedPath,
+        aspect: spec.aspect,
+        width: spec.width,
+        height: spec.height,
+      };
     }
 
-    if (req.method !== 'POST') {
-      res.status(405).json({ error: 'Method not allowed' });
-      return;
+    await jobRef.update({ renditions, renditionsStatus: 'ready' });
+  } catch (err) {
+    console.error('buildRenditions error:', jobId, err);
+    await jobRef.update({ renditionsStatus: 'failed' })
+      .catch((e) => console.error('buildRenditions status update:', e.message));
+  }
+});
+
+/**
+ * Firestore trigger: refund a job's credit when it fails, is canceled or expires (see
+ * helpers/credits). Jobs started before credits existed have no creditCost and are skipped;
+ * refundJobCredits records the refund on the job, so redelivered events - and submission
+ * failures, already released by submitPrediction - refund once.
+ */
+exports.refundCredits = functions.firestore.onDocumentUpdated('jobs/{jobId}', async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  if (!after?.creditCost || before?.status === after.status) return;
+  if (![JOB_STATES.FAILED, JOB_STATES.CANCELED, JOB_STATES.EXPIRED].includes(after.status)) return;
+
+  const refunded = await refundJobCredits(db, event.data.after.ref, {
+    reason: `job ${after.status}`,
+    actor: 'system:refundCredits',
+  });
+  if (refunded) console.log('refundCredits:', event.params.jobId, after.status);
+});
+
+/**
+ * Firestore trigger: refresh a stale cached subscription in the background. getSubscription
+ * serves the stale copy and stamps subscriptionRefreshRequestedAt; the lookup runs here, in
+ * its own invocation. The lookup doesn't touch that field, so its write doesn't re-trigger.
+ */
+exports.revalidateSubscription = functions.firestore.onDocumentUpdated('users/{userId}', async (event) => {
+  const requestedAt = event.data.after.data()?.subscriptionRefreshRequestedAt;
+  const previous = event.data.before.data()?.subscriptionRefreshRequestedAt;
+  if (!requestedAt || (previous && previous.isEqual(requestedAt))) return;
+
+  const refreshed = await revalidateSubscription(db, event.params.userId);
+  if (refreshed) console.log('revalidateSubscription:', event.params.userId);
+});
+
+/**
+ * Scheduled: daily credit top-up (midnight UTC). Users below their plan's dailyJobs are
+ * topped back up; the query takes everyone below the largest allowance and
+ * topUpDailyCredits skips those already at theirs. Users from before credits existed have no balance until their first
+ * start, which grants a full day's credits.
+ */
+exports.grantDailyCredits = functions.scheduler.onSchedule({
+  schedule: 'every day 00:00',
+  timeZone: 'UTC',
+  timeoutSeconds: 540,
+}, async () => {
+  const day = new Date().toISOString().slice(0, 10);
+  let granted = 0;
+  let last = null;
+  for (;;) {
+    let query = db.collection('users')
+      .where('credits', '<', MAX_DAILY_JOBS)
+      .orderBy('credits')
+      .limit(CREDIT_TOP_UP_PAGE_SIZE);
+    if (last) query = query.startAfter(last);
+    const snapshot = await query.get();
+    for (const doc of snapshot.docs) {
+      try {
+        if (await topUpDailyCredits(db, doc.ref, day)) granted++;
+      } catch (err) {
+        console.error('grantDailyCredits: top-up failed for', doc.id, err.message);
+      }
     }
+    if (snapshot.size < CREDIT_TOP_UP_PAGE_SIZE) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+  console.log('grantDailyCredits:', day, 'topped up', granted, 'users');
+});
+
+/**
+ * Jobs that entered `status` more than `minutesAgo` ago (longest waiting first). Aged by
+ * statusUpdatedAt, not createdAt: a job that sat in pending before it was started has only
+ * just been queued.
+ */
+async function findJobsOlderThan(status, minutesAgo) {
+  const cutoff = new Date(Date.now() - minutesAgo * 60 * 1000);
+  const snapshot = await db.collection('jobs')
+    .where('status', '==', status)
+    .where('statusUpdatedAt', '<', cutoff)
+    .orderBy('statusUpdatedAt', 'asc')
+    .limit(REAPER_BATCH_SIZE)
+    .get();
+  return snapshot.docs;
+}
+
+/**
+ * Reconcile one queued/processing job with Replicate's view of its prediction
+ * @returns {Promise<string>} What happened, for the run summary
+ */
+async function reconcileJob(jobDoc) {
+  const jobRef = jobDoc.ref;
+  const job = jobDoc.data();
+  const actor = 'system:reapStuckJobs';
+  // Time in the current status (a scheduled retry restarts the clock)
+  const ageMinutes = (Date.now() - job.statusUpdatedAt.toDate().getTime()) / 60000;
+
+  if (!job.replicateJobId) {
+    // Waiting for retryQueuedJobs
+    if (job.retryAt) return 'awaiting retry';
+    // startJob/retry crashed between claiming the job and submitting it
+    await transitionJob(db, jobRef, JOB_STATES.FAILED, {
+      actor,
+      reason: 'submission never completed',
+      fields: { errorMessage: 'Video generation could not be started. Please try again.' },
+    });
+    return JOB_STATES.FAILED;
+  }
+
+  const prediction = await getPrediction(job.replicateJobId, config().replicateToken);
+  const finalStatus = await finalizePrediction(jobRef, job, prediction, actor);
+  if (finalStatus) return finalStatus;
+
+  if (ageMinutes > JOB_MAX_PROCESSING_MINUTES) {
+    await transitionJob(db, jobRef, JOB_STATES.FAILED, {
+      actor,
+      reason: `still ${prediction.status} after ${Math.round(ageMinutes)} min`,
+      fields: { errorMessage: 'Video generation timed out. Please try again.' },
+    });
+    return JOB_STATES.FAILED;
+  }
+  return 'still running';
+}
 
+/**
+ * Scheduled: Reap stuck jobs
+ * Ages count from the last status change (statusUpdatedAt)
+ * - queued/processing past JOB_STUCK_MINUTES: ask Replicate for the prediction state and
+ *   finalize through the same path as replicateWebhook (fail after JOB_MAX_PROCESSING_MINUTES)
+ * - pending past PENDING_EXPIRY_MINUTES with no uploaded image: expire
+ * - uploading past PENDING_EXPIRY_MINUTES (photo validation never finished): fail
+ */
+exports.reapStuckJobs = functions.scheduler.onSchedule({
+  schedule: 'every 10 minutes',
+  // finalizePrediction runs the same ffmpeg post-processing as replicateWebhook, per job
+  memory: '1GiB',
+  timeoutSeconds: 540,
+}, async () => {
+  const summary = {};
+  const count = (outcome) => {
+    summary[outcome] = (summary[outcome] || 0) + 1;
+  };
+
+  const stuck = [
+    ...await findJobsOlderThan(JOB_STATES.QUEUED, JOB_STUCK_MINUTES),
+    ...await findJobsOlderThan(JOB_STATES.PROCESSING, JOB_STUCK_MINUTES),
+  ];
+  for (const jobDoc of stuck) {
     try {
-      const authHeader = req.headers.authorization;
-      if (!authHeader?.startsWith('Bearer ')) {
-        res.status(401).json({ error: 'Missing or invalid Authorization header' });
-        return;
+      count(await reconcileJob(jobDoc));
+    } catch (err) {
+      if (err instanceof JobTransitionError) {
+        count('finalized concurrently');
+      } else {
+        console.error('reapStuckJobs reconcile error:', jobDoc.id, err.message);
+        count('error');
       }
+    }
+  }
 
-      const idToken = authHeader.split('Bearer ')[1];
-      const decodedToken = await auth.verifyIdToken(idToken);
-      const userId = decodedToken.uid;
-      const email = decodedToken.email || '';
+  const unstarted = [
+    ...await findJobsOlderThan(JOB_STATES.PENDING, PENDING_EXPIRY_MINUTES),
+    ...await findJobsOlderThan(JOB_STATES.UPLOADING, PENDING_EXPIRY_MINUTES),
+  ];
+  for (const jobDoc of unstarted) {
+    try {
+      const job = jobDoc.data();
+      if (job.status === JOB_STATES.UPLOADING) {
+        // processUpload crashed or timed out mid-validation
+        await transitionJob(db, jobDoc.ref, JOB_STATES.FAILED, {
+          actor: 'system:reapStuckJobs',
+          reason: 'photo validation never finished',
+          fields: { errorMessage: 'We could not process your photo. Please try again.' },
+        });
+        count(JOB_STATES.FAILED);
+        continue;
+      }
+      const [uploaded] = bucket && job.inputImagePath
+        ? await bucket.file(job.inputImagePath).exists()
+        : [false];
+      if (uploaded) {
+        count('uploaded, not started');
+        continue;
+      }
+      await transitionJob(db, jobDoc.ref, JOB_STATES.EXPIRED, {
+        actor: 'system:reapStuckJobs',
+        reason: 'upload never happened',
+        fields: { errorMessage: 'Upload did not complete. Please create a new video.' },
+      });
+      count(JOB_STATES.EXPIRED);
+    } catch (err) {
+      if (err instanceof JobTransitionError) {
+        count('finalized concurrently');
+      } else {
+        console.error('reapStuckJobs expire error:', jobDoc.id, err.message);
+        count('error');
+      }
+    }
+  }
 
-      await getOrCreateUser(userId, email);
-      const subValidation = await validateSubscription(userId, config().revenuecatSecret);
-      await syncSubscriptionStatus(userId, subValidation);
+  console.log('reapStuckJobs:', JSON.stringify(summary));
+});
 
-      res.status(200).json({
-        subscriptionStatus: subValidation.subscriptionStatus,
-        hasAccess: subValidation.hasAccess,
-      });
-    } catch (error) {
-      console.error('refreshSubscription error:', error);
-      res.status(500).json({ error: error.message || 'Internal server error' });
+/**
+ * Claim a queued job whose retry is due (clears retryAt so overlapping runs skip it)
+ * @returns {Promise<object|null>} Job data with the new attemptCount, or null if not due/claimed
+ */
+async function claimRetry(jobRef) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(jobRef);
+    const job = snap.data();
+    if (!job || job.status !== JOB_STATES.QUEUED || !job.retryAt || job.retryAt.toMillis() > Date.now()) {
+      return null;
     }
+    const attemptCount = (job.attemptCount || 1) + 1;
+    tx.update(jobRef, { retryAt: null, attemptCount });
+    return { ...job, retryAt: null, attemptCount };
   });
+}
+
+/**
+ * Scheduled: Resubmit jobs whose transient failure retry is due (see helpers/retry-policy),
+ * higher plan priority (job.priority, see helpers/plans) first
+ */
+exports.retryQueuedJobs = functions.scheduler.onSchedule('every 1 minutes', async () => {
+  const snapshot = await db.collection('jobs')
+    .where('status', '==', JOB_STATES.QUEUED)
+    .where('retryAt', '<=', admin.firestore.Timestamp.now())
+    .orderBy('retryAt', 'asc')
+    .limit(REAPER_BATCH_SIZE)
+    .get();
+
+  // Higher plan priority first; due time breaks ties (the query order, kept by a stable sort)
+  const due = snapshot.docs.slice().sort((a, b) => (b.get('priority') || 0) - (a.get('priority') || 0));
+  for (const jobDoc of due) {
+    try {
+      const job = await claimRetry(jobDoc.ref);
+      if (!job) continue;
+      await submitPrediction(jobDoc.ref, job, 'system:retryQueuedJobs');
+    } catch (err) {
+      if (err instanceof JobTransitionError) continue; // canceled meanwhile
+      console.error('retryQueuedJobs error:', jobDoc.id, err.message);
+    }
+  }
 });
@@ -0,0 +1,101 @@
+/**
+ * Video model adapters (helpers/models/adapters)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getAdapter } = require('../../helpers/models');
+const { extractVideoUrl } = require('../../helpers/models/common');
+
+const IMAGE_URL = 'https://storage.example.com/normalized.jpg';
+const VIDEO_URL = 'https://replicate.delivery/output.mp4';
+
+test('extractVideoUrl handles the output shapes Replicate returns', () => {
+  assert.strictEqual(extractVideoUrl(VIDEO_URL), VIDEO_URL);
+  assert.strictEqual(extractVideoUrl([VIDEO_URL, 'https://other.mp4']), VIDEO_URL);
+  assert.strictEqual(extractVideoUrl({ url: VIDEO_URL }), VIDEO_URL);
+  assert.strictEqual(extractVideoUrl({ video: VIDEO_URL }), VIDEO_URL);
+  assert.strictEqual(extractVideoUrl({ output: [VIDEO_URL] }), VIDEO_URL);
+  assert.strictEqual(extractVideoUrl(null), null);
+  assert.strictEqual(extractVideoUrl([{ url: VIDEO_URL }]), null);
+  assert.strictEqual(extractVideoUrl({ status: 'succeeded' }), null);
+});
+
+test('every adapter extracts the video URL with the shared helper', () => {
+  for (const model of ['minimax/hailuo-02', 'kwaivgi/kling-v2.1', 'minimax/video-01',
+    'stability-ai/stable-video-diffusion', 'someone/new-video-model']) {
+    assert.strictEqual(getAdapter(model).extractVideoUrl([VIDEO_URL]), VIDEO_URL, model);
+  }
+});
+
+test('hailuo: first_frame_image, duration and resolution', () => {
+  const adapter = getAdapter('minimax/hailuo-02');
+  assert.deepStrictEqual(
+    adapter.buildInput({ imageUrl: IMAGE_URL, danceStyle: 'salsa', duration: 10, resolution: '1080p', prompt: 'A cat doing salsa' }),
+    { first_frame_image: IMAGE_URL, prompt: 'A cat doing salsa', duration: 10, resolution: '1080p', prompt_optimizer: true }
+  );
+  const input = adapter.buildInput({ imageUrl: IMAGE_URL, danceStyle: 'salsa', duration: 6, resolution: '768p' });
+  assert.match(input.prompt, /salsa style/);
+});
+
+test('hailuo: cost per second by resolution', () => {
+  const adapter = getAdapter('minimax/hailuo-02');
+  assert.strictEqual(adapter.estimateCost({ duration: 10, resolution: '512p' }), 0.17);
+  assert.ok(Math.abs(adapter.estimateCost({ duration: 6, resolution: '1080p' }) - 0.48) < 1e-9);
+  assert.strictEqual(
+    adapter.estimateCost({ duration: 6, resolution: '4k' }),
+    adapter.estimateCost({ duration: 6, resolution: '768p' })
+  );
+});
+
+test('kling: start_image, mode from resolution, optional negative prompt', () => {
+  const adapter = getAdapter('kwaivgi/kling-v2.1');
+  assert.deepStrictEqual(
+    adapter.buildInput({
+      imageUrl: IMAGE_URL, danceStyle: 'hiphop', duration: 10, resolution: '1080p',
+      prompt: 'A dog dancing', negativePrompt: 'blurry',
+    }),
+    { start_image: IMAGE_URL, prompt: 'A dog dancing', negative_prompt: 'blurry', duration: 10, mode: 'pro' }
+  );
+  const input = adapter.buildInput({ imageUrl: IMAGE_URL, danceStyle: 'hiphop', duration: 5, resolution: '720p' });
+  assert.strictEqual(input.mode, 'standard');
+  assert.ok(!('negative_prompt' in input));
+  assert.strictEqual(adapter.supportsNegativePrompt, true);
+});
+
+test('kling: cost per second by resolution', () => {
+  const adapter = getAdapter('kwaivgi/kling-v2.1');
+  assert.strictEqual(adapter.estimateCost({ duration: 10, resolution: '720p' }), 0.5);
+  assert.ok(Math.abs(adapter.estimateCost({ duration: 5, resolution: '1080p' }) - 0.45) < 1e-9);
+});
+
+test('minimax-video: image and prompt, flat price', () => {
+  const adapter = getAdapter('minimax/video-01');
+  assert.deepStrictEqual(
+    adapter.buildInput({ imageUrl: IMAGE_URL, danceStyle: 'disco', duration: 6, resolution: '720p', prompt: 'Disco pet' }),
+    { prompt: 'Disco pet', image: IMAGE_URL }
+  );
+  assert.strictEqual(adapter.estimateCost({ duration: 6, resolution: '720p' }), 0.5);
+});
+
+test('stable-video-diffusion: image only, no prompt', () => {
+  const adapter = getAdapter('stability-ai/stable-video-diffusion');
+  assert.deepStrictEqual(
+    adapter.buildInput({ imageUrl: IMAGE_URL, danceStyle: 'disco', prompt: 'ignored' }),
+    { image: IMAGE_URL, motion_bucket_id: 127, fps: 6 }
+  );
+  assert.strictEqual(adapter.estimateCost({ duration: 4, resolution: '576p' }), 0.06);
+});
+
+test('generic: image and prompt, unknown cost', () => {
+  const adapter = getAdapter('someone/new-video-model');
+  assert.deepStrictEqual(
+    adapter.buildInput({ imageUrl: IMAGE_URL, danceStyle: 'tango', prompt: 'Tango pet' }),
+    { image: IMAGE_URL, prompt: 'Tango pet' }
+  );
+  assert.deepStrictEqual(
+    adapter.buildInput({ imageUrl: IMAGE_URL, danceStyle: 'tango' }),
+    { image: IMAGE_URL, prompt: 'Pet dancing in tango style' }
+  );
+  assert.strictEqual(adapter.estimateCost({ duration: 6 }), null);
+});
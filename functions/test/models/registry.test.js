@@ -0,0 +1,87 @@
+/**
+ * Model adapter registry (helpers/models)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { registerAdapter, getAdapter, listAdapters, resolveOutputOptions } = require('../../helpers/models');
+
+function fakeAdapter(overrides) {
+  return {
+    matches: () => false,
+    buildInput: () => ({}),
+    extractVideoUrl: () => null,
+    estimateCost: () => null,
+    ...overrides,
+  };
+}
+
+test('loads every adapter in ./adapters', () => {
+  const ids = listAdapters().map((a) => a.id);
+  for (const id of ['generic', 'hailuo', 'kling', 'minimax-video', 'stable-video-diffusion']) {
+    assert.ok(ids.includes(id), `${id} is registered`);
+  }
+});
+
+test('getAdapter picks the adapter for a model, ignoring the version suffix', () => {
+  assert.strictEqual(getAdapter('minimax/hailuo-02').id, 'hailuo');
+  assert.strictEqual(getAdapter('minimax/hailuo-02:abc123').id, 'hailuo');
+  assert.strictEqual(getAdapter('minimax/video-01').id, 'minimax-video');
+  assert.strictEqual(getAdapter('kwaivgi/kling-v2.1').id, 'kling');
+  assert.strictEqual(getAdapter('stability-ai/stable-video-diffusion').id, 'stable-video-diffusion');
+});
+
+test('getAdapter falls back to the generic adapter for unknown models', () => {
+  assert.strictEqual(getAdapter('someone/new-video-model').id, 'generic');
+  assert.strictEqual(getAdapter(undefined).id, 'generic');
+});
+
+test('registerAdapter keeps adapters ordered by priority', () => {
+  registerAdapter(fakeAdapter({ id: 'test-low', priority: 5, matches: (id) => id.startsWith('test/') }));
+  registerAdapter(fakeAdapter({ id: 'test-high', priority: 50, matches: (id) => id.startsWith('test/') }));
+
+  assert.strictEqual(getAdapter('test/model').id, 'test-high');
+  const priorities = listAdapters().map((a) => a.priority);
+  assert.deepStrictEqual(priorities, [...priorities].sort((a, b) => b - a));
+  assert.strictEqual(listAdapters().at(-1).id, 'generic');
+});
+
+test('registerAdapter fills in defaults for optional fields', () => {
+  registerAdapter(fakeAdapter({ id: 'test-defaults', matches: (id) => id === 'defaults/model' }));
+  const adapter = getAdapter('defaults/model');
+  assert.strictEqual(adapter.priority, 0);
+  assert.deepStrictEqual(adapter.durations, []);
+  assert.deepStrictEqual(adapter.resolutions, []);
+  assert.deepStrictEqual(adapter.defaults, {});
+  assert.strictEqual(adapter.supportsNegativePrompt, false);
+});
+
+test('registerAdapter rejects invalid and duplicate adapters', () => {
+  assert.throws(() => registerAdapter(fakeAdapter({})), /must have an id/);
+  assert.throws(
+    () => registerAdapter(fakeAdapter({ id: 'test-broken', estimateCost: undefined })),
+    /"test-broken" is missing estimateCost\(\)/
+  );
+  assert.throws(() => registerAdapter(fakeAdapter({ id: 'hailuo' })), /already registered/);
+});
+
+test('resolveOutputOptions keeps supported values', () => {
+  const adapter = getAdapter('minimax/hailuo-02');
+  assert.deepStrictEqual(
+    resolveOutputOptions(adapter, { duration: 10, resolution: '1080p' }),
+    { duration: 10, resolution: '1080p' }
+  );
+});
+
+test('resolveOutputOptions falls back to the adapter defaults', () => {
+  const adapter = getAdapter('kwaivgi/kling-v2.1');
+  assert.deepStrictEqual(
+    resolveOutputOptions(adapter, { duration: 6, resolution: '768p' }),
+    { duration: 5, resolution: '720p' }
+  );
+  assert.deepStrictEqual(resolveOutputOptions(adapter), { duration: 5, resolution: '720p' });
+  assert.deepStrictEqual(
+    resolveOutputOptions(getAdapter('someone/new-video-model'), { duration: 6 }),
+    { duration: undefined, resolution: undefined }
+  );
+});
@@ -10,16 +10,36 @@ const API = {
         return user.getIdToken();
     },
 
-    async createJob(danceStyle) {
+    // Public style catalog - fetched once per page load
+    getStyles() {
+        if (!this._stylesPromise) {
+            const base = window.API_BASE;
+            this._stylesPromise = fetch(`${base}/v1/styles`)
+                .then(async (res) => {
+                    const data = await res.json();
+                    if (!res.ok) throw new Error(data.error || 'Failed to load dance styles');
+                    return data.styles || [];
+                })
+                .catch((err) => {
+                    this._stylesPromise = null;
+                    throw err;
+                });
+        }
+        return this._stylesPromise;
+    },
+
+    // petDetails: optional { petName, species, background } used in the dance prompt, and
+    // petCount (2-4) for a group dance - the response then has one upload path per pet
+    async createJob(danceStyle, quality, petDetails) {
         const token = await this.getAuthToken();
-        const base = window.FUNCTIONS_BASE;
-        const res = await fetch(`${base}/createJob`, {
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/jobs`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${token}`,
             },
-            body: JSON.stringify({ danceStyle }),
+            body: JSON.stringify({ danceStyle, ...(quality && { quality }), ...petDetails }),
         });
 
         const data = await res.json();
@@ -34,6 +54,30 @@ const API = {
         await ref.put(file);
     },
 
+    // Resolves once processUpload has accepted the uploaded photo; rejects with its reason
+    waitForUploadCheck(jobId, timeoutMs = 60000) {
+        if (!window.firebaseDb) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            let unsubscribe = null;
+            const finish = (err) => {
+                clearTimeout(timer);
+                if (unsubscribe) unsubscribe();
+                if (err) reject(err);
+                else resolve();
+            };
+            const timer = setTimeout(() => {
+                finish(new Error('Checking your photo is taking too long. Please try again.'));
+            }, timeoutMs);
+            unsubscribe = this.subscribeToJob(jobId, (job) => {
+                if (job.status === 'pending' && job.normalizedImagePath) {
+                    finish();
+                } else if (['failed', 'canceled', 'expired'].includes(job.status)) {
+                    finish(new Error(job.errorMessage || 'Your photo could not be used. Please try another one.'));
+                }
+            });
+        });
+    },
+
     async getDownloadUrlFromPath(storagePath) {
         const storage = window.firebaseStorage;
         if (!storage) throw new Error('Firebase Storage not loaded');
@@ -41,27 +85,69 @@ const API = {
         return ref.getDownloadURL();
     },
 
-    async startJob(jobId, imageUrl) {
+    // The server signs its own URL for the uploaded photo - no image URL is sent
+    async startJob(jobId) {
+        const token = await this.getAuthToken();
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/jobs/${encodeURIComponent(jobId)}/start`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` },
+        });
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to start job');
+        return data;
+    },
+
+    // One photo, several dance styles: one job per style, all fed by the photo at uploadPath
+    async createBatch(danceStyles, quality, petDetails) {
         const token = await this.getAuthToken();
-        const base = window.FUNCTIONS_BASE;
-        const res = await fetch(`${base}/startJob`, {
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/batches`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${token}`,
             },
-            body: JSON.stringify({ jobId, imageUrl }),
+            body: JSON.stringify({ danceStyles, ...(quality && { quality }), ...petDetails }),
         });
 
         const data = await res.json();
-        if (!res.ok) throw new Error(data.error || 'Failed to start job');
+        if (!res.ok) throw new Error(data.error || 'Failed to create videos');
+        return data;
+    },
+
+    // Starts all of the batch's jobs, or none of them (e.g. not enough free videos left today)
+    async startBatch(batchId) {
+        const token = await this.getAuthToken();
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/batches/${encodeURIComponent(batchId)}/start`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` },
+        });
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to start videos');
+        return data;
+    },
+
+    async getBatch(batchId) {
+        const token = await this.getAuthToken();
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/batches/${encodeURIComponent(batchId)}`, {
+            method: 'GET',
+            headers: { 'Authorization': `Bearer ${token}` },
+        });
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to get status');
         return data;
     },
 
     async getJobStatus(jobId) {
         const token = await this.getAuthToken();
-        const base = window.FUNCTIONS_BASE;
-        const res = await fetch(`${base}/getJobStatus?jobId=${encodeURIComponent(jobId)}`, {
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/jobs/${encodeURIComponent(jobId)}`, {
             method: 'GET',
             headers: { 'Authorization': `Bearer ${token}` },
         });
@@ -71,6 +157,38 @@ const API = {
         return data;
     },
 
+    // Signed poster / animated preview URLs for up to 50 jobs in one request:
+    // { <jobId>: { posterUrl, previewUrl } } - jobs without previews are left out
+    async getJobPreviews(jobIds) {
+        const token = await this.getAuthToken();
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/jobs/previews`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ jobIds }),
+        });
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load previews');
+        return data.previews || {};
+    },
+
+    async cancelJob(jobId) {
+        const token = await this.getAuthToken();
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/jobs/${encodeURIComponent(jobId)}/cancel`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` },
+        });
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to cancel job');
+        return data;
+    },
+
     subscribeToJob(jobId, onUpdate) {
         const db = window.firebaseDb;
         if (!db) {
@@ -90,35 +208,76 @@ const API = {
         return unsubscribe;
     },
 
-    async getDownloadUrl(jobId) {
+    // Download formats - 'original' plus the renditions built after completion
+    downloadFormats: [
+        { id: 'original', label: 'Original' },
+        { id: 'vertical', label: '9:16 Vertical (Reels, TikTok)' },
+        { id: 'square', label: '1:1 Square' },
+        { id: 'landscape', label: '16:9 Landscape' },
+    ],
+
+    // V4 signed URL for a finished video (expires). disposition: 'attachment' downloads it
+    // as petdance-<style>-<date>.mp4, 'inline' plays/streams it in a <video>.
+    // audio: 'none' for the version without background music; format: see downloadFormats
+    async getDownloadUrl(jobId, { disposition = 'attachment', audio = 'music', format = 'original' } = {}) {
         const token = await this.getAuthToken();
-        const base = window.FUNCTIONS_BASE;
-        const res = await fetch(`${base}/getDownloadUrl`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`,
-            },
-            body: JSON.stringify({ jobId }),
+        const base = window.API_BASE;
+        const query = new URLSearchParams({ disposition, audio, format });
+        const res = await fetch(`${base}/v1/jobs/${encodeURIComponent(jobId)}/download?${query}`, {
+            method: 'GET',
+            headers: { 'Authorization': `Bearer ${token}` },
         });
 
         const data = await res.json();
         if (!res.ok) throw new Error(data.error || 'Failed to get download URL');
-        if (data.outputVideoPath) {
-            return this.getDownloadUrlFromPath(data.outputVideoPath);
-        }
         return data.downloadUrl;
     },
 
-    async getVideoUrlFromPath(outputVideoPath) {
-        if (!outputVideoPath) return null;
-        return this.getDownloadUrlFromPath(outputVideoPath);
+    getVideoUrl(jobId) {
+        return this.getDownloadUrl(jobId, { disposition: 'inline' });
+    },
+
+    // Public link for a finished video - returns the existing link if it is already shared
+    async createShareLink(jobId) {
+        const token = await this.getAuthToken();
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/jobs/${encodeURIComponent(jobId)}/share`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` },
+        });
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to create share link');
+        return data;
+    },
+
+    async revokeShareLink(jobId) {
+        const token = await this.getAuthToken();
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/jobs/${encodeURIComponent(jobId)}/share`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${token}` },
+        });
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to stop sharing');
+        return data;
+    },
+
+    // Shared video for share.html - public, no sign-in needed
+    async getShare(shareId) {
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/shares/${encodeURIComponent(shareId)}`);
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load shared video');
+        return data;
     },
 
     async refreshSubscription() {
         const token = await this.getAuthToken();
-        const base = window.FUNCTIONS_BASE;
-        const res = await fetch(`${base}/refreshSubscription`, {
+        const base = window.API_BASE;
+        const res = await fetch(`${base}/v1/subscription`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -1,17 +1,112 @@
 // App functionality for video creation workflow
 // Handles upload, style selection, generation, and results
 
-let uploadedImage = null;
-let uploadedFile = null; // Keep File for API upload
+// One photo per pet - several pets make a group dance
+const MAX_PETS = 4;
+let uploadedImages = []; // Data URLs for the previews
+let uploadedFiles = []; // Keep Files for API upload
+let addingPet = false; // Next file pick adds a pet instead of replacing the photos
 let selectedStyle = null;
 let currentJobId = null;
 let jobUnsubscribe = null;
+let generationCanceled = false;
+
+// Several styles from one photo (a batch) - see generateBatch()
+const MAX_BATCH_STYLES = 6;
+const FINISHED_STATUSES = ['completed', 'failed', 'canceled', 'expired'];
+let multiStyle = false;
+let selectedStyles = [];
+let currentBatch = null; // { batchId, jobIds, jobs: { [jobId]: job } }
+let batchUnsubscribes = [];
+let stylesById = {};
 
 // Initialize app on page load
 document.addEventListener('DOMContentLoaded', () => {
     initializeUpload();
+    loadStyles();
+    initDownloadFormats();
 });
 
+// Download format picker on the result screen
+function initDownloadFormats() {
+    const select = document.getElementById('download-format');
+    if (!select || !window.PetDanceAPI) return;
+    select.innerHTML = PetDanceAPI.downloadFormats
+        .map((f) => `<option value="${f.id}">${f.label}</option>`)
+        .join('');
+}
+
+// Render dance style cards from the style catalog
+async function loadStyles() {
+    const grid = document.getElementById('styles-grid');
+    if (!grid || !window.PetDanceAPI) return;
+
+    let styles;
+    try {
+        styles = await PetDanceAPI.getStyles();
+    } catch (err) {
+        console.error('Load styles error:', err);
+        grid.innerHTML = '<p class="styles-loading">Could not load dance styles. Please refresh the page.</p>';
+        return;
+    }
+
+    grid.innerHTML = '';
+    styles.forEach((style) => {
+        stylesById[style.id] = style;
+        grid.appendChild(createStyleCard(style));
+    });
+}
+
+function createStyleCard(style) {
+    const card = document.createElement('div');
+    card.className = 'style-card';
+    card.dataset.styleId = style.id;
+
+    const preview = document.createElement('div');
+    preview.className = 'style-preview';
+    const emoji = document.createElement('span');
+    emoji.className = 'style-emoji';
+    emoji.textContent = style.emoji;
+    preview.appendChild(emoji);
+    card.appendChild(preview);
+
+    if (style.proOnly) {
+        const badge = document.createElement('span');
+        badge.className = 'style-pro-badge';
+        badge.textContent = 'PRO';
+        card.appendChild(badge);
+    }
+
+    const name = document.createElement('h3');
+    name.className = 'style-name';
+    name.textContent = style.label;
+    card.appendChild(name);
+
+    const description = document.createElement('p');
+    description.className = 'style-description';
+    description.textContent = style.description;
+    card.appendChild(description);
+
+    card.addEventListener('click', () => selectStyle(style.id, card, style.proOnly));
+
+    // Swap the emoji for the preview clip once it resolves
+    if (style.previewVideoPath && window.PetDanceAPI) {
+        PetDanceAPI.getDownloadUrlFromPath(style.previewVideoPath)
+            .then((url) => {
+                const video = document.createElement('video');
+                video.src = url;
+                video.muted = true;
+                video.loop = true;
+                video.autoplay = true;
+                video.playsInline = true;
+                preview.replaceChildren(video);
+            })
+            .catch((err) => console.warn('Style preview unavailable:', style.id, err));
+    }
+
+    return card;
+}
+
 // Initialize upload functionality
 function initializeUpload() {
     const uploadArea = document.getElementById('upload-area');
@@ -23,15 +118,18 @@ function initializeUpload() {
     // Click to upload
     uploadArea.addEventListener('click', (e) => {
         if (e.target.closest('.btn-remove')) return;
+        addingPet = false;
         fileInput.click();
     });
     
-    // File input change
+    // File input change - several files at once are several pets
     fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            handleFileUpload(file);
+        const files = Array.from(e.target.files);
+        if (files.length) {
+            if (!addingPet) clearPhotos();
+            files.forEach(handleFileUpload);
         }
+        fileInput.value = '';
     });
     
     // Drag and drop
@@ -49,9 +147,10 @@ function initializeUpload() {
         e.preventDefault();
         uploadPlaceholder.classList.remove('drag-over');
         
-        const file = e.dataTransfer.files[0];
-        if (file && file.type.startsWith('image/')) {
-            handleFileUpload(file);
+        const files = Array.from(e.dataTransfer.files).filter((file) => file.type.startsWith('image/'));
+        if (files.length) {
+            clearPhotos();
+            files.forEach(handleFileUpload);
         } else {
             alert('Please upload an image file (JPG, PNG, WEBP)');
         }
@@ -72,35 +171,90 @@ function handleFileUpload(file) {
         return;
     }
     
-    uploadedFile = file;
+    if (uploadedFiles.length >= MAX_PETS) {
+        alert(`You can add up to ${MAX_PETS} pets to one video`);
+        return;
+    }
+    
+    const index = uploadedFiles.push(file) - 1;
     
     // Read and display image
     const reader = new FileReader();
     reader.onload = (e) => {
-        uploadedImage = e.target.result;
-        displayPreview(uploadedImage);
+        if (uploadedFiles[index] !== file) return; // Removed meanwhile
+        uploadedImages[index] = e.target.result;
+        displayPreview();
         enableNextButton();
     };
     reader.readAsDataURL(file);
 }
 
-// Display image preview
-function displayPreview(imageSrc) {
+// Display the first pet large, and every pet as a thumbnail once there are several
+function displayPreview() {
     const uploadPlaceholder = document.getElementById('upload-placeholder');
     const uploadPreview = document.getElementById('upload-preview');
     const previewImage = document.getElementById('preview-image');
+    const petPhotos = document.getElementById('pet-photos');
+    const addPetBtn = document.getElementById('add-pet-btn');
     
-    if (uploadPlaceholder && uploadPreview && previewImage) {
+    if (uploadPlaceholder && uploadPreview && previewImage && uploadedImages[0]) {
         uploadPlaceholder.style.display = 'none';
-        previewImage.src = imageSrc;
+        previewImage.src = uploadedImages[0];
         uploadPreview.style.display = 'block';
     }
+    
+    if (petPhotos) {
+        petPhotos.innerHTML = '';
+        if (uploadedFiles.length > 1) {
+            uploadedImages.forEach((src, index) => {
+                if (!src) return;
+                const thumb = document.createElement('div');
+                thumb.className = 'pet-photo';
+                const img = document.createElement('img');
+                img.src = src;
+                img.alt = `Pet ${index + 1}`;
+                const remove = document.createElement('button');
+                remove.className = 'btn-remove';
+                remove.textContent = '✕';
+                remove.addEventListener('click', () => removePet(index));
+                thumb.append(img, remove);
+                petPhotos.appendChild(thumb);
+            });
+        }
+        petPhotos.style.display = uploadedFiles.length > 1 ? 'flex' : 'none';
+    }
+    
+    if (addPetBtn) {
+        addPetBtn.style.display = uploadedFiles.length && uploadedFiles.length < MAX_PETS ? 'inline-flex' : 'none';
+    }
+}
+
+// Add another pet's photo for a group dance
+function addPetPhoto() {
+    const fileInput = document.getElementById('file-input');
+    if (!fileInput) return;
+    addingPet = true;
+    fileInput.click();
+}
+
+function removePet(index) {
+    uploadedFiles.splice(index, 1);
+    uploadedImages.splice(index, 1);
+    if (!uploadedFiles.length) {
+        removeImage();
+        return;
+    }
+    displayPreview();
 }
 
-// Remove uploaded image
+function clearPhotos() {
+    uploadedImages = [];
+    uploadedFiles = [];
+}
+
+// Remove uploaded images
 function removeImage() {
-    uploadedImage = null;
-    uploadedFile = null;
+    clearPhotos();
     
     const uploadPlaceholder = document.getElementById('upload-placeholder');
     const uploadPreview = document.getElementById('upload-preview');
@@ -115,6 +269,7 @@ function removeImage() {
         fileInput.value = '';
     }
     
+    displayPreview();
     disableNextButton();
 }
 
@@ -157,21 +312,37 @@ function goBackToUpload() {
         
         // Reset style selection
         selectedStyle = null;
+        selectedStyles = [];
         document.querySelectorAll('.style-card').forEach(card => {
             card.classList.remove('selected');
         });
-        
-        const generateBtn = document.getElementById('generate-btn');
-        if (generateBtn) {
-            generateBtn.disabled = true;
-        }
+        updateGenerateButton();
         
         window.scrollTo({ top: 0, behavior: 'smooth' });
     }
 }
 
 // Select dance style
-function selectStyle(style) {
+function selectStyle(style, cardEl, proOnly) {
+    if (proOnly && !window.hasProAccess) {
+        showSubscription();
+        return;
+    }
+
+    if (multiStyle) {
+        if (selectedStyles.includes(style)) {
+            selectedStyles = selectedStyles.filter((s) => s !== style);
+            cardEl.classList.remove('selected');
+        } else if (selectedStyles.length >= MAX_BATCH_STYLES) {
+            alert(`You can pick up to ${MAX_BATCH_STYLES} styles at once`);
+        } else {
+            selectedStyles.push(style);
+            cardEl.classList.add('selected');
+        }
+        updateGenerateButton();
+        return;
+    }
+
     selectedStyle = style;
     
     // Update UI
@@ -179,18 +350,38 @@ function selectStyle(style) {
         card.classList.remove('selected');
     });
     
-    event.currentTarget.classList.add('selected');
-    
-    // Enable generate button
+    cardEl.classList.add('selected');
+    updateGenerateButton();
+}
+
+// Switch between picking one style and several (one video each)
+function toggleMultiStyle(enabled) {
+    multiStyle = enabled;
+    selectedStyle = null;
+    selectedStyles = [];
+    document.querySelectorAll('.style-card').forEach(card => {
+        card.classList.remove('selected');
+    });
+    updateGenerateButton();
+}
+
+function updateGenerateButton() {
     const generateBtn = document.getElementById('generate-btn');
-    if (generateBtn) {
-        generateBtn.disabled = false;
-    }
+    if (!generateBtn) return;
+    const count = multiStyle ? selectedStyles.length : (selectedStyle ? 1 : 0);
+    generateBtn.disabled = count === 0;
+    generateBtn.textContent = count > 1 ? `Generate ${count} Videos ✨` : 'Generate Video ✨';
 }
 
 // Generate video - calls real API
 async function generateVideo() {
-    if (!uploadedImage || !uploadedFile || !selectedStyle) {
+    if (multiStyle && selectedStyles.length > 1) {
+        generateBatch();
+        return;
+    }
+    if (multiStyle) selectedStyle = selectedStyles[0] || null;
+
+    if (!uploadedFiles.length || !selectedStyle) {
         alert('Please upload an image and select a style');
         return;
     }
@@ -210,26 +401,27 @@ async function generateVideo() {
     }
 
     updateProgress(10, 'Creating job...');
+    generationCanceled = false;
 
     try {
-        const { jobId, uploadPath } = await PetDanceAPI.createJob(selectedStyle);
+        const petCount = uploadedFiles.length;
+        const { jobId, uploadPaths } = await PetDanceAPI.createJob(
+            selectedStyle, undefined, petCount > 1 ? { petCount } : undefined
+        );
         currentJobId = jobId;
 
-        updateProgress(30, 'Uploading image...');
-
-        let fileToUpload = uploadedFile;
-        if (!uploadedFile.type.match(/jpeg|jpg/)) {
-            fileToUpload = await convertToJpeg(uploadedFile);
-        }
+        updateProgress(30, petCount > 1 ? `Uploading ${petCount} photos...` : 'Uploading image...');
+        await uploadPhotos(uploadPaths);
+        if (generationCanceled) return;
 
-        await PetDanceAPI.uploadToStorage(uploadPath, fileToUpload);
-
-        updateProgress(40, 'Getting image URL...');
-        const imageUrl = await PetDanceAPI.getDownloadUrlFromPath(uploadPath);
+        updateProgress(35, 'Checking image...');
+        await PetDanceAPI.waitForUploadCheck(jobId);
+        if (generationCanceled) return;
 
         updateProgress(50, 'Starting AI processing...');
-        await PetDanceAPI.startJob(jobId, imageUrl);
+        await PetDanceAPI.startJob(jobId);
 
+        if (generationCanceled) return;
         updateProgress(60, 'AI is creating your dancing pet...');
 
         // Subscribe to real-time updates
@@ -241,11 +433,221 @@ async function generateVideo() {
             pollJobStatus(jobId);
         }
     } catch (err) {
+        if (generationCanceled) return;
         console.error('Generate error:', err);
         showError(err.message);
     }
 }
 
+// Upload each pet's photo to its path (same order as uploadedFiles)
+async function uploadPhotos(uploadPaths) {
+    await Promise.all(uploadPaths.map(async (uploadPath, i) => {
+        let fileToUpload = uploadedFiles[i];
+        if (!fileToUpload.type.match(/jpeg|jpg/)) {
+            fileToUpload = await convertToJpeg(fileToUpload);
+        }
+        await PetDanceAPI.uploadToStorage(uploadPath, fileToUpload);
+    }));
+}
+
+// Generate one video per selected style from the same photo, with one combined progress view
+async function generateBatch() {
+    if (!uploadedFiles.length || selectedStyles.length < 2) {
+        alert('Please upload an image and select the styles');
+        return;
+    }
+    if (uploadedFiles.length > 1) {
+        alert('Several styles at once works with one pet photo. Remove the extra pets or pick a single style.');
+        return;
+    }
+
+    if (!window.PetDanceAPI) {
+        alert('API not loaded. Check Firebase configuration.');
+        return;
+    }
+
+    const progressSection = document.getElementById('progress-section');
+    const styleSection = document.getElementById('style-section');
+
+    if (styleSection) styleSection.style.display = 'none';
+    if (progressSection) {
+        progressSection.style.display = 'block';
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    updateProgress(10, `Creating ${selectedStyles.length} videos...`);
+    generationCanceled = false;
+
+    try {
+        const { batchId, jobIds, uploadPath } = await PetDanceAPI.createBatch(selectedStyles);
+        currentBatch = { batchId, jobIds, jobs: {} };
+
+        updateProgress(30, 'Uploading image...');
+        await uploadPhotos([uploadPath]);
+        if (generationCanceled) return;
+
+        updateProgress(35, 'Checking image...');
+        await Promise.all(jobIds.map((jobId) => PetDanceAPI.waitForUploadCheck(jobId)));
+        if (generationCanceled) return;
+
+        updateProgress(50, 'Starting AI processing...');
+        const { jobs } = await PetDanceAPI.startBatch(batchId);
+        if (generationCanceled) return;
+
+        jobs.forEach((job) => {
+            currentBatch.jobs[job.jobId] = { id: job.jobId, danceStyle: job.danceStyle, status: job.status, errorMessage: job.error };
+        });
+        renderBatchProgress();
+
+        if (window.firebaseDb) {
+            batchUnsubscribes = jobIds.map((jobId) => PetDanceAPI.subscribeToJob(jobId, handleBatchJobUpdate));
+        } else {
+            pollBatchStatus(batchId);
+        }
+    } catch (err) {
+        if (generationCanceled) return;
+        console.error('Generate batch error:', err);
+        showError(err.message);
+    }
+}
+
+function stopBatchTracking() {
+    batchUnsubscribes.forEach((unsubscribe) => unsubscribe());
+    batchUnsubscribes = [];
+    currentBatch = null;
+    const list = document.getElementById('batch-progress');
+    if (list) {
+        list.innerHTML = '';
+        list.style.display = 'none';
+    }
+}
+
+function handleBatchJobUpdate(job) {
+    if (generationCanceled || !currentBatch || !currentBatch.jobIds.includes(job.id)) return;
+    currentBatch.jobs[job.id] = job;
+    renderBatchProgress();
+
+    const jobs = currentBatch.jobIds.map((jobId) => currentBatch.jobs[jobId]);
+    if (jobs.every((j) => j && FINISHED_STATUSES.includes(j.status))) {
+        finishBatch(jobs);
+    }
+}
+
+// One row per style plus the overall bar (each video counts equally)
+function renderBatchProgress() {
+    const list = document.getElementById('batch-progress');
+    if (!currentBatch) return;
+
+    const stepPercent = { pending: 50, uploading: 50, queued: 60, processing: 75 };
+    const stepText = {
+        queued: 'Waiting...',
+        processing: 'Dancing...',
+        completed: 'Ready ✓',
+        failed: 'Failed',
+        canceled: 'Canceled',
+        expired: 'Failed',
+    };
+    const jobs = currentBatch.jobIds.map((jobId) => currentBatch.jobs[jobId] || { id: jobId, status: 'queued' });
+    const finished = jobs.filter((job) => FINISHED_STATUSES.includes(job.status)).length;
+    const percent = jobs.reduce((sum, job) => sum + (stepPercent[job.status] || 100), 0) / jobs.length;
+    updateProgress(percent, `${finished} of ${jobs.length} videos done - AI is creating your dancing pets...`);
+
+    if (!list) return;
+    list.innerHTML = '';
+    jobs.forEach((job) => {
+        const style = stylesById[job.danceStyle];
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = style ? `${style.emoji} ${style.label}` : (job.danceStyle || 'Dance');
+        const status = document.createElement('span');
+        status.className = `batch-status batch-status-${job.status}`;
+        status.textContent = stepText[job.status] || 'Starting...';
+        if (job.errorMessage) status.title = job.errorMessage;
+        item.append(name, status);
+        list.appendChild(item);
+    });
+    list.style.display = 'block';
+}
+
+async function finishBatch(jobs) {
+    const completed = jobs.filter((job) => job.status === 'completed');
+    stopBatchTracking();
+
+    if (!completed.length) {
+        showError(jobs.find((job) => job.errorMessage)?.errorMessage || 'None of the videos could be created. Please try again.');
+        return;
+    }
+
+    currentJobId = completed[0].id;
+    let downloadUrl = null;
+    try {
+        downloadUrl = await PetDanceAPI.getVideoUrl(currentJobId);
+    } catch (e) {
+        console.error('Get download URL failed:', e);
+    }
+    await showResult(downloadUrl);
+
+    const note = document.getElementById('batch-note');
+    if (note) {
+        note.textContent = `${completed.length} of ${jobs.length} videos are ready. `;
+        const link = document.createElement('a');
+        link.href = 'history.html';
+        link.textContent = 'See them all in My Videos';
+        note.appendChild(link);
+        note.style.display = 'block';
+    }
+}
+
+function pollBatchStatus(batchId) {
+    const maxAttempts = 120;
+    let attempts = 0;
+
+    const poll = async () => {
+        if (generationCanceled || !currentBatch || currentBatch.batchId !== batchId) return;
+        if (attempts++ > maxAttempts) {
+            showError('Generation timed out. Please try again.');
+            return;
+        }
+
+        try {
+            const data = await PetDanceAPI.getBatch(batchId);
+            data.jobs.forEach((job) => {
+                handleBatchJobUpdate({ id: job.jobId, danceStyle: job.danceStyle, status: job.status, errorMessage: job.errorMessage });
+            });
+            if (!data.done) setTimeout(poll, 3000);
+        } catch (err) {
+            showError(err.message);
+        }
+    };
+
+    poll();
+}
+
+// Cancel the in-flight generation and go back to style selection
+async function cancelGeneration() {
+    if (!confirm(currentBatch ? 'Cancel these videos?' : 'Cancel this video?')) return;
+
+    generationCanceled = true;
+    if (jobUnsubscribe) jobUnsubscribe();
+    jobUnsubscribe = null;
+    const jobIds = currentBatch ? currentBatch.jobIds : [currentJobId].filter(Boolean);
+    stopBatchTracking();
+
+    const cancelBtn = document.getElementById('cancel-btn');
+    if (cancelBtn) cancelBtn.disabled = true;
+
+    // Videos of a batch that already finished can't be canceled - that's fine
+    await Promise.all(jobIds.map((jobId) => PetDanceAPI.cancelJob(jobId)
+        .catch((err) => console.warn('Cancel job failed:', jobId, err))));
+    if (cancelBtn) cancelBtn.disabled = false;
+
+    currentJobId = null;
+    const progressSection = document.getElementById('progress-section');
+    const styleSection = document.getElementById('style-section');
+    if (progressSection) progressSection.style.display = 'none';
+    if (styleSection) styleSection.style.display = 'block';
+}
+
 async function convertToJpeg(file) {
     return new Promise((resolve, reject) => {
         const img = new Image();
@@ -265,12 +667,19 @@ async function convertToJpeg(file) {
 }
 
 async function handleJobUpdate(job) {
+    if (generationCanceled) return;
     const status = job.status;
     const progressFill = document.getElementById('progress-fill');
     const progressText = document.getElementById('progress-text');
     const progressPercentage = document.getElementById('progress-percentage');
 
-    if (status === 'processing') {
+    if (status === 'queued') {
+        if (progressText) {
+            progressText.textContent = job.retryAt
+                ? 'The AI hit a snag - retrying automatically...'
+                : 'Waiting for the AI to pick up your video...';
+        }
+    } else if (status === 'processing') {
         if (progressFill) progressFill.style.width = '75%';
         if (progressPercentage) progressPercentage.textContent = '75';
         if (progressText) progressText.textContent = 'AI is generating your video...';
@@ -279,19 +688,15 @@ async function handleJobUpdate(job) {
         jobUnsubscribe = null;
         let downloadUrl = null;
         try {
-            if (job.outputVideoPath) {
-                downloadUrl = await PetDanceAPI.getVideoUrlFromPath(job.outputVideoPath);
-            } else {
-                downloadUrl = await PetDanceAPI.getDownloadUrl(job.id);
-            }
+            downloadUrl = await PetDanceAPI.getVideoUrl(job.id);
         } catch (e) {
             console.error('Get download URL failed:', e);
         }
         showResult(downloadUrl);
-    } else if (status === 'failed') {
+    } else if (status === 'failed' || status === 'canceled' || status === 'expired') {
         if (jobUnsubscribe) jobUnsubscribe();
         jobUnsubscribe = null;
-        showError(job.errorMessage || 'Generation failed');
+        showError(job.errorMessage || `Generation ${status}`);
     }
 }
 
@@ -300,6 +705,7 @@ async function pollJobStatus(jobId) {
     let attempts = 0;
 
     const poll = async () => {
+        if (generationCanceled) return;
         if (attempts++ > maxAttempts) {
             showError('Generation timed out. Please try again.');
             return;
@@ -311,17 +717,15 @@ async function pollJobStatus(jobId) {
             updateProgress(progress, 'AI is creating your dancing pet...');
 
             if (data.status === 'completed') {
-                let url = data.downloadUrl;
-                if (!url && data.outputVideoPath) {
-                    try {
-                        url = await PetDanceAPI.getVideoUrlFromPath(data.outputVideoPath);
-                    } catch (e) {
-                        console.error('Get video URL failed:', e);
-                    }
+                let url = null;
+                try {
+                    url = await PetDanceAPI.getVideoUrl(jobId);
+                } catch (e) {
+                    console.error('Get video URL failed:', e);
                 }
                 showResult(url);
-            } else if (data.status === 'failed') {
-                showError(data.errorMessage || 'Generation failed');
+            } else if (data.status === 'failed' || data.status === 'canceled' || data.status === 'expired') {
+                showError(data.errorMessage || `Generation ${data.status}`);
             } else {
                 setTimeout(poll, 3000);
             }
@@ -345,6 +749,7 @@ function updateProgress(percent, text) {
 function showError(message) {
     if (jobUnsubscribe) jobUnsubscribe();
     jobUnsubscribe = null;
+    stopBatchTracking();
 
     const progressSection = document.getElementById('progress-section');
     const styleSection = document.getElementById('style-section');
@@ -366,22 +771,32 @@ async function showResult(downloadUrl) {
     if (resultSection) resultSection.style.display = 'block';
     window.scrollTo({ top: 0, behavior: 'smooth' });
 
+    // Free-tier videos are watermarked; upgrading unlocks clean copies
+    const watermarkNote = document.getElementById('watermark-note');
+    if (watermarkNote) watermarkNote.style.display = window.hasProAccess ? 'none' : 'block';
+    const batchNote = document.getElementById('batch-note');
+    if (batchNote) batchNote.style.display = 'none';
+
     if (downloadUrl) {
         try {
             if (!downloadUrl.startsWith('http') && currentJobId && window.PetDanceAPI) {
-                downloadUrl = await PetDanceAPI.getDownloadUrl(currentJobId);
+                downloadUrl = await PetDanceAPI.getVideoUrl(currentJobId);
             }
             if (downloadUrl && videoPlaceholder && resultVideo) {
                 videoPlaceholder.style.display = 'none';
                 const videoEl = document.createElement('video');
                 videoEl.src = downloadUrl;
                 videoEl.controls = true;
-                videoEl.autoplay = true;
                 videoEl.loop = true;
-                videoEl.muted = true;
+                videoEl.playsInline = true;
                 videoEl.style.width = '100%';
                 videoEl.style.borderRadius = 'var(--radius-xl)';
                 resultVideo.appendChild(videoEl);
+                // Play with its music; browsers that block autoplay with sound get it muted
+                videoEl.play().catch(() => {
+                    videoEl.muted = true;
+                    videoEl.play().catch(() => {});
+                });
                 window.currentResultVideoUrl = downloadUrl;
             }
         } catch (err) {
@@ -390,9 +805,21 @@ async function showResult(downloadUrl) {
     }
 }
 
-// Download video
-function downloadVideo() {
-    const url = window.currentResultVideoUrl;
+// Download video - fresh signed URL that saves as petdance-<style>-<date>.mp4
+async function downloadVideo() {
+    const format = document.getElementById('download-format')?.value || 'original';
+    let url = format === 'original' ? window.currentResultVideoUrl : null;
+    if (currentJobId && window.PetDanceAPI) {
+        try {
+            url = await PetDanceAPI.getDownloadUrl(currentJobId, { format });
+        } catch (err) {
+            console.error('Get download URL failed:', err);
+            if (format !== 'original') {
+                alert(err.message);
+                return;
+            }
+        }
+    }
     if (url) {
         const a = document.createElement('a');
         a.href = url;
@@ -404,21 +831,41 @@ function downloadVideo() {
     }
 }
 
-// Share video (mock)
-function shareVideo() {
+// Share video - public link to a share page that plays it
+async function shareVideo() {
+    if (!currentJobId || !window.PetDanceAPI) {
+        alert('No video available to share');
+        return;
+    }
+    let link;
+    try {
+        link = (await PetDanceAPI.createShareLink(currentJobId)).shareUrl;
+    } catch (err) {
+        console.error('Create share link failed:', err);
+        alert(err.message || 'Could not create a share link. Please try again.');
+        return;
+    }
+
     // Check if Web Share API is available (especially useful for mobile)
     if (navigator.share) {
         navigator.share({
             title: 'Check out my dancing pet!',
             text: 'I made my pet dance with AI on PetDance! 🐾',
-            url: window.location.href
+            url: link
         }).catch((error) => {
             // User cancelled share or error occurred
             console.log('Share cancelled:', error);
         });
-    } else {
+    } else if (navigator.clipboard) {
         // Fallback for desktop
-        alert('Share this video:\n\n📱 Copy link to share\n📤 Download and share manually\n\n(Native sharing would be available on mobile devices)');
+        try {
+            await navigator.clipboard.writeText(link);
+            alert('Share link copied to clipboard!\n\n' + link);
+        } catch (err) {
+            prompt('Copy this link to share your video:', link);
+        }
+    } else {
+        prompt('Copy this link to share your video:', link);
     }
 }
 
@@ -426,6 +873,7 @@ function shareVideo() {
 function createAnother() {
     if (jobUnsubscribe) jobUnsubscribe();
     jobUnsubscribe = null;
+    stopBatchTracking();
     currentJobId = null;
     window.currentResultVideoUrl = null;
 
@@ -437,9 +885,12 @@ function createAnother() {
         if (placeholder) placeholder.style.display = 'flex';
     }
 
-    uploadedImage = null;
-    uploadedFile = null;
     selectedStyle = null;
+    selectedStyles = [];
+    document.querySelectorAll('.style-card').forEach(card => {
+        card.classList.remove('selected');
+    });
+    updateGenerateButton();
     
     removeImage();
     
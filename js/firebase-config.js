@@ -22,6 +22,12 @@ const storage = firebase.storage();
 // Cloud Functions base URL (uses same project)
 const FUNCTIONS_BASE = `https://us-central1-${firebaseConfig.projectId}.cloudfunctions.net`;
 
+// REST API base - Hosting rewrites /api/** to the `api` function (same origin).
+// Local static servers have no rewrites, so call the function directly.
+const API_BASE = ['localhost', '127.0.0.1'].includes(window.location.hostname)
+    ? `${FUNCTIONS_BASE}/api`
+    : '/api';
+
 // Configure Google Auth Provider
 const googleProvider = new firebase.auth.GoogleAuthProvider();
 googleProvider.addScope('profile');
@@ -37,4 +43,5 @@ window.firebaseDb = db;
 window.firebaseStorage = storage;
 window.firebaseConfig = firebaseConfig;
 window.FUNCTIONS_BASE = FUNCTIONS_BASE;
+window.API_BASE = API_BASE;
 window.googleProvider = googleProvider;
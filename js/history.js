@@ -2,14 +2,18 @@
  * History page - display user's pet photos and generated videos
  */
 
-const STYLE_LABELS = {
-  'hip-hop': 'Hip Hop',
-  'ballet': 'Ballet',
-  'disco': 'Disco',
-  'breakdance': 'Breakdance',
-  'salsa': 'Salsa',
-  'robot': 'Robot',
-};
+// Style id -> label, filled from the style catalog in loadHistory
+let styleLabels = {};
+
+async function loadStyleLabels() {
+  if (!window.PetDanceAPI) return;
+  try {
+    const styles = await PetDanceAPI.getStyles();
+    styleLabels = Object.fromEntries(styles.map((s) => [s.id, s.label]));
+  } catch (err) {
+    console.warn('Load style labels failed:', err);
+  }
+}
 
 async function getImageUrl(path) {
   if (!path || !window.firebaseStorage) return null;
@@ -21,15 +25,54 @@ async function getImageUrl(path) {
   }
 }
 
-async function getVideoUrl(path) {
-  if (!path || !window.PetDanceAPI) return null;
+// Signed poster / animated preview URLs for completed jobs, in one request:
+// { <jobId>: { posterUrl, previewUrl } }
+async function getPreviews(jobIds) {
+  if (!jobIds.length || !window.PetDanceAPI) return {};
+  try {
+    return await PetDanceAPI.getJobPreviews(jobIds);
+  } catch {
+    return {};
+  }
+}
+
+async function getVideoUrl(jobId) {
+  if (!window.PetDanceAPI) return null;
+  try {
+    return await PetDanceAPI.getVideoUrl(jobId);
+  } catch {
+    return null;
+  }
+}
+
+// View count of a job's active share link (owners can read their shares docs)
+async function getShareViews(shareId) {
+  if (!shareId || !window.firebaseDb) return null;
   try {
-    return await PetDanceAPI.getVideoUrlFromPath(path);
+    const snap = await window.firebaseDb.collection('shares').doc(shareId).get();
+    return snap.exists ? snap.data().viewCount || 0 : null;
   } catch {
     return null;
   }
 }
 
+// Download format <option>s - renditions are listed once buildRenditions has made them
+function formatOptions(job) {
+  const formats = window.PetDanceAPI?.downloadFormats || [{ id: 'original', label: 'Original' }];
+  return formats.map((f) => {
+    const ready = f.id === 'original' || job.renditions?.[f.id];
+    let label = f.label;
+    if (!ready) label += job.renditionsStatus === 'failed' ? ' (unavailable)' : ' (preparing...)';
+    return `<option value="${f.id}"${ready ? '' : ' disabled'}>${label}</option>`;
+  }).join('');
+}
+
+function formatDuration(seconds) {
+  if (!seconds) return '';
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
 function formatDate(timestamp) {
   if (!timestamp) return '';
   const d = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
@@ -46,9 +89,8 @@ function createJobCard(job) {
   const div = document.createElement('div');
   div.className = 'history-card';
   div.dataset.jobId = job.id;
-  if (job.videoUrl) div.dataset.videoUrl = job.videoUrl;
 
-  const styleLabel = STYLE_LABELS[job.danceStyle] || job.danceStyle || 'Dance';
+  const styleLabel = styleLabels[job.danceStyle] || job.danceStyle || 'Dance';
   const dateStr = formatDate(job.createdAt);
 
   let thumbContent = '';
@@ -58,17 +100,14 @@ function createJobCard(job) {
     thumbContent = '<div style="display:flex;align-items:center;justify-content:center;height:100%;font-size:3rem;opacity:0.4;">📷</div>';
   }
 
-  let mediaHtml = '';
-  if (job.status === 'completed' && job.videoUrl) {
-    mediaHtml = `
-      <video src="${job.videoUrl}" preload="metadata" muted loop playsinline
-        onmouseover="this.play()" onmouseout="this.pause()"
-        onclick="event.stopPropagation(); this.paused ? this.play() : this.pause();"
-        style="cursor:pointer;"></video>
-    `;
-  } else {
-    mediaHtml = thumbContent;
+  // Completed: animated preview (or poster) - the MP4 itself only loads on Play
+  let mediaHtml = thumbContent;
+  const previewSrc = job.previewUrl || job.posterUrl;
+  if (job.status === 'completed' && previewSrc) {
+    mediaHtml = `<img src="${previewSrc}" alt="Dancing pet preview" loading="lazy">`;
   }
+  const isPlayable = job.status === 'completed' && job.outputVideoPath;
+  const duration = isPlayable ? formatDuration(job.video?.durationSeconds) : '';
 
   const statusClass = `status-${job.status}`;
 
@@ -79,11 +118,23 @@ function createJobCard(job) {
     </div>
     <div class="history-card-body">
       <div class="history-card-style">${styleLabel}</div>
-      <div class="history-card-date">${dateStr}</div>
+      <div class="history-card-date">${dateStr}${duration ? ` · ${duration}` : ''}</div>
       <div class="history-card-actions">
-        ${job.status === 'completed' && job.videoUrl ? `
+        ${isPlayable ? `
           <button class="btn btn-primary btn-history-action" data-action="play" data-job-id="${job.id}">▶ Play</button>
+          <select class="download-format history-format" aria-label="Download format">${formatOptions(job)}</select>
           <button class="btn btn-secondary btn-history-action" data-action="download" data-job-id="${job.id}">⬇ Download</button>
+          ${job.shareId ? `
+            <button class="btn btn-text btn-history-action" data-action="unshare" data-job-id="${job.id}">Stop sharing</button>
+          ` : `
+            <button class="btn btn-text btn-history-action" data-action="share" data-job-id="${job.id}">🔗 Share</button>
+          `}
+        ` : ''}
+        ${isPlayable && job.watermarkedVideoPath && !window.hasProAccess ? `
+          <span class="history-card-date">Watermarked · <a href="#" onclick="event.preventDefault(); showSubscription();">Upgrade to remove</a></span>
+        ` : ''}
+        ${isPlayable && job.shareId && job.shareViews != null ? `
+          <span class="history-card-date">Shared · ${job.shareViews} ${job.shareViews === 1 ? 'view' : 'views'}</span>
         ` : ''}
         ${job.status === 'failed' && job.errorMessage ? `
           <span class="history-card-date" style="color:var(--color-error);">${job.errorMessage}</span>
@@ -135,31 +186,103 @@ async function loadHistory() {
       jobs.push({ id: doc.id, ...doc.data() });
     }
 
-    // Load image and video URLs in parallel
+    // Load photo / preview URLs (and style labels) in parallel - videos load on Play
+    const hasPreviews = (job) => job.status === 'completed' && (job.previewPath || job.posterPath);
+    const labelsLoaded = loadStyleLabels();
+    const previewsLoaded = getPreviews(jobs.filter(hasPreviews).map((job) => job.id));
     const enriched = await Promise.all(jobs.map(async (job) => {
-      const [imageUrl, videoUrl] = await Promise.all([
-        getImageUrl(job.inputImagePath),
-        job.outputVideoPath ? getVideoUrl(job.outputVideoPath) : null,
+      const [imageUrl, shareViews] = await Promise.all([
+        hasPreviews(job) ? null : getImageUrl(job.inputImagePath),
+        getShareViews(job.shareId),
       ]);
-      return { ...job, imageUrl, videoUrl };
+      return { ...job, imageUrl, shareViews };
     }));
+    const previews = await previewsLoaded;
+    enriched.forEach((job) => Object.assign(job, previews[job.id]));
+    await labelsLoaded;
 
+    const jobsById = {};
     enriched.forEach((job) => {
+      jobsById[job.id] = job;
       gridEl.appendChild(createJobCard(job));
     });
 
-    gridEl.addEventListener('click', (e) => {
+    // Re-render one card after its share state changes
+    const updateCard = (card, changes) => {
+      const job = { ...jobsById[card.dataset.jobId], ...changes };
+      jobsById[job.id] = job;
+      card.replaceWith(createJobCard(job));
+    };
+
+    gridEl.addEventListener('click', async (e) => {
       const btn = e.target.closest('.btn-history-action');
       if (!btn) return;
       const card = btn.closest('.history-card');
-      const url = card?.dataset.videoUrl;
-      if (!url) return;
+      if (btn.dataset.action === 'share') {
+        btn.disabled = true;
+        try {
+          const { shareId, shareUrl } = await PetDanceAPI.createShareLink(card.dataset.jobId);
+          updateCard(card, { shareId, shareViews: jobsById[card.dataset.jobId].shareViews ?? 0 });
+          if (navigator.share) {
+            navigator.share({ title: 'Check out my dancing pet!', url: shareUrl }).catch(() => {});
+          } else if (navigator.clipboard) {
+            await navigator.clipboard.writeText(shareUrl);
+            alert('Share link copied to clipboard!\n\n' + shareUrl);
+          } else {
+            prompt('Copy this link to share your video:', shareUrl);
+          }
+        } catch (err) {
+          btn.disabled = false;
+          alert(err.message || 'Could not create a share link');
+        }
+        return;
+      }
+      if (btn.dataset.action === 'unshare') {
+        if (!confirm('Stop sharing this video? The link will stop working.')) return;
+        btn.disabled = true;
+        try {
+          await PetDanceAPI.revokeShareLink(card.dataset.jobId);
+          updateCard(card, { shareId: null, shareViews: null });
+        } catch (err) {
+          btn.disabled = false;
+          alert(err.message || 'Could not stop sharing');
+        }
+        return;
+      }
+      const jobId = card.dataset.jobId;
       if (btn.dataset.action === 'play') {
-        window.open(url, '_blank', 'noopener');
+        // Swap the preview for the real video, starting on the poster frame
+        const thumb = card.querySelector('.history-card-thumb');
+        if (thumb.querySelector('video')) return;
+        btn.disabled = true;
+        const url = await getVideoUrl(jobId);
+        btn.disabled = false;
+        if (!url) {
+          alert('Could not load the video. Please try again.');
+          return;
+        }
+        const video = document.createElement('video');
+        video.src = url;
+        if (jobsById[jobId].posterUrl) video.poster = jobsById[jobId].posterUrl;
+        video.controls = true;
+        video.autoplay = true;
+        video.loop = true;
+        video.playsInline = true;
+        thumb.querySelector('img, div')?.replaceWith(video);
       } else if (btn.dataset.action === 'download') {
+        // Signed attachment URL - the server names the file petdance-<style>-<date>[-9x16].mp4
+        const format = card.querySelector('.history-format')?.value || 'original';
+        let downloadUrl;
+        try {
+          downloadUrl = await PetDanceAPI.getDownloadUrl(jobId, { format });
+        } catch (err) {
+          console.warn('Get download URL failed:', err);
+          alert(err.message || 'Could not download the video. Please try again.');
+          return;
+        }
         const a = document.createElement('a');
-        a.href = url;
-        a.download = `petdance-${card.dataset.jobId}.mp4`;
+        a.href = downloadUrl;
+        a.download = `petdance-${jobId}.mp4`;
         a.target = '_blank';
         a.click();
       }
@@ -12,6 +12,11 @@ function scrollToExamples() {
 // Subscription status from Firestore - used to update nav and modal
 let _userDocUnsubscribe = null;
 window.hasProAccess = false;
+window.userPlan = 'free';
+
+// Same plans as functions/helpers/plans.js, lowest first
+const PLAN_RANKS = { free: 0, pro: 1, premium: 2 };
+const PLAN_LABELS = { free: 'Free', pro: 'Pro', premium: 'Premium' };
 
 function initSubscriptionStatus() {
     const user = window.firebaseAuth?.currentUser;
@@ -21,18 +26,35 @@ function initSubscriptionStatus() {
         .onSnapshot((snap) => {
             const data = snap.data();
             const status = data?.subscriptionStatus || 'none';
-            window.hasProAccess = status === 'active' || status === 'trial';
+            const subscribed = status === 'active' || status === 'trial';
+            // Paid users from before plans existed are on Pro
+            const subscribedPlan = subscribed ? (PLAN_RANKS[data?.plan] > 0 ? data.plan : 'pro') : 'free';
+            // Plans granted by hand (scripts/grant-pro.js) count too - the higher one wins
+            const grantedPlan = PLAN_RANKS[data?.manualGrant] > 0 ? data.manualGrant : 'free';
+            window.userPlan = PLAN_RANKS[grantedPlan] > PLAN_RANKS[subscribedPlan] ? grantedPlan : subscribedPlan;
+            window.hasProAccess = window.userPlan !== 'free';
             window._subscriptionManagementUrl = data?.managementUrl || null;
+            window._subscriptionNote = subscriptionNote(data);
             updateNavForSubscription(window.hasProAccess);
         }, () => {});
 }
 
+// Billing problems and pending cancellations (set by the RevenueCat webhook)
+function subscriptionNote(data) {
+    if (!data || !(data.subscriptionStatus === 'active' || data.subscriptionStatus === 'trial')) return '';
+    if (data.billingIssueAt) return 'We couldn\'t take your last payment - update your payment method to keep your plan.';
+    const expiresAt = data.subscriptionExpiresAt?.toDate?.();
+    if (data.willRenew === false && expiresAt) return `Your plan ends on ${expiresAt.toLocaleDateString()}.`;
+    return '';
+}
+
 function cleanupSubscriptionStatus() {
     if (_userDocUnsubscribe) {
         _userDocUnsubscribe();
         _userDocUnsubscribe = null;
     }
     window.hasProAccess = false;
+    window.userPlan = 'free';
     updateNavForSubscription(false);
 }
 
@@ -40,13 +62,13 @@ function updateNavForSubscription(hasAccess) {
     const el = document.getElementById('nav-subscription');
     if (!el) return;
     if (hasAccess) {
-        el.innerHTML = '<button class="btn btn-text nav-pro-badge" onclick="showSubscription()">✓ Pro</button>';
+        el.innerHTML = `<button class="btn btn-text nav-pro-badge" onclick="showSubscription()">✓ ${PLAN_LABELS[window.userPlan]}</button>`;
     } else {
         el.innerHTML = '<button class="btn btn-text" onclick="showSubscription()">Upgrade</button>';
     }
 }
 
-// Show subscription modal - shows Pro status or upgrade options
+// Show subscription modal - shows the current plan or upgrade options
 function showSubscription() {
     const modal = document.getElementById('subscription-modal');
     if (!modal) return;
@@ -57,6 +79,15 @@ function showSubscription() {
         proContainer.style.display = 'block';
         if (plansContainer) plansContainer.style.display = 'none';
         if (paywallContainer) paywallContainer.style.display = 'none';
+        const badge = proContainer.querySelector('.pro-status-badge');
+        if (badge) badge.textContent = `✓ ${PLAN_LABELS[window.userPlan]}`;
+        const note = document.getElementById('subscription-note');
+        if (note) {
+            note.textContent = window._subscriptionNote || '';
+            note.style.display = window._subscriptionNote ? '' : 'none';
+        }
+        const premiumUpsell = document.getElementById('premium-upsell');
+        if (premiumUpsell) premiumUpsell.style.display = window.userPlan === 'premium' ? 'none' : '';
         const manageLink = document.getElementById('manage-subscription-link') || document.getElementById('manage-subscription-link-hist');
         if (manageLink) {
             if (window._subscriptionManagementUrl) {
@@ -119,7 +150,7 @@ function selectPlan(planType) {
 
 // Handle Upgrade - use RevenueCat paywall if configured, else selectPlan
 async function handleUpgrade(planType) {
-    if (window.hasProAccess) {
+    if (PLAN_RANKS[window.userPlan] >= PLAN_RANKS[planType]) {
         showSubscription();
         return;
     }
@@ -128,7 +159,9 @@ async function handleUpgrade(planType) {
         return;
     }
     try {
-        await showRevenueCatPaywall();
+        const proContainer = document.getElementById('pro-status-container');
+        if (proContainer) proContainer.style.display = 'none';
+        await showRevenueCatPaywall(null, planType);
     } catch (e) {
         console.error('RevenueCat paywall error:', e);
         selectPlan(planType);
@@ -6,6 +6,8 @@
 
 let purchasesInstance = null;
 const ENTITLEMENT_ID = window.REVENUECAT_ENTITLEMENT_ID || 'pro';
+// Entitlements that unlock a paid plan (must match functions/helpers/plans.js)
+const PLAN_ENTITLEMENT_IDS = [ENTITLEMENT_ID, window.REVENUECAT_PREMIUM_ENTITLEMENT_ID || 'premium'];
 
 async function initRevenueCat(appUserId) {
   const apiKey = window.REVENUECAT_PUBLIC_API_KEY;
@@ -32,7 +34,9 @@ async function initRevenueCat(appUserId) {
   }
 }
 
-async function showRevenueCatPaywall(containerEl) {
+// planType ('pro' | 'premium'): only show that plan's packages - matched by package or
+// product identifier - when the offering has any
+async function showRevenueCatPaywall(containerEl, planType) {
   const user = window.firebaseAuth?.currentUser;
   if (!user) {
     alert('Please sign in to upgrade');
@@ -60,7 +64,12 @@ async function showRevenueCatPaywall(containerEl) {
 
     // Custom paywall - avoids "paywall not attached" error; we render packages and call purchase()
     const offerings = await purchases.getOfferings();
-    const packages = offerings?.current?.availablePackages || [];
+    const allPackages = offerings?.current?.availablePackages || [];
+    const planPackages = planType ? allPackages.filter((pkg) => {
+      const ids = [pkg.identifier, pkg.webBillingProduct?.identifier].filter(Boolean);
+      return ids.some((id) => String(id).toLowerCase().includes(planType));
+    }) : [];
+    const packages = planPackages.length ? planPackages : allPackages;
 
     if (!packages.length) {
       paywallContainer.innerHTML = '<p>No subscription packages configured. Add products and an offering in the RevenueCat dashboard.</p>';
@@ -141,7 +150,7 @@ async function showRevenueCatPaywall(containerEl) {
           const result = await purchases.purchase({ rcPackage: pkg });
           const customerInfo = result?.customerInfo ?? result;
           const active = customerInfo?.entitlements?.active || {};
-          const hasAccess = Object.keys(active).includes(ENTITLEMENT_ID) ||
+          const hasAccess = Object.keys(active).some((id) => PLAN_ENTITLEMENT_IDS.includes(id)) ||
             (customerInfo?.activeSubscriptions && customerInfo.activeSubscriptions.size > 0);
           if (hasAccess) {
             if (typeof closeSubscription === 'function') closeSubscription();
@@ -184,7 +193,7 @@ async function checkEntitlement() {
 
   try {
     const customerInfo = await purchases.getCustomerInfo();
-    return Object.keys(customerInfo.entitlements?.active || {}).includes(ENTITLEMENT_ID);
+    return Object.keys(customerInfo.entitlements?.active || {}).some((id) => PLAN_ENTITLEMENT_IDS.includes(id));
   } catch {
     return false;
   }
@@ -1,7 +1,12 @@
 #!/usr/bin/env node
 /**
- * One-time script to grant a user unlimited credits (pro access).
- * Usage: node scripts/grant-pro.js <userId>
+ * One-time script to grant a user a paid plan (pro by default, or premium), or take a grant
+ * back with "free".
+ * Usage: node scripts/grant-pro.js <userId> [pro|premium|free]
+ *
+ * The grant is stored as users/{uid}.manualGrant, separate from the RevenueCat-managed
+ * subscriptionStatus/plan, so subscription lookups that find nothing don't remove it.
+ * The user gets the higher of the granted and the subscribed plan.
  *
  * Get your userId: Firebase Console → Authentication → Users, or log it from the app.
  * Requires: GOOGLE_APPLICATION_CREDENTIALS or run: gcloud auth application-default login
@@ -12,9 +17,10 @@ const path = require('path');
 
 const projectId = 'petdance-da752';
 const userId = process.argv[2];
+const plan = process.argv[3] || 'pro';
 
-if (!userId) {
-  console.error('Usage: node scripts/grant-pro.js <userId>');
+if (!userId || !['pro', 'premium', 'free'].includes(plan)) {
+  console.error('Usage: node scripts/grant-pro.js <userId> [pro|premium|free]');
   console.error('Get userId from Firebase Console → Authentication → Users');
   process.exit(1);
 }
@@ -39,21 +45,32 @@ async function main() {
   const userRef = db.collection('users').doc(userId);
 
   const snap = await userRef.get();
-  if (!snap.exists) {
+  if (plan === 'free') {
+    if (!snap.exists) {
+      console.log('No user', userId);
+      return;
+    }
+    await userRef.update({
+      manualGrant: admin.firestore.FieldValue.delete(),
+      grantedProAt: admin.firestore.FieldValue.delete(),
+    });
+    console.log('Removed the manual grant from', userId, '(their RevenueCat subscription, if any, still counts)');
+  } else if (!snap.exists) {
     await userRef.set({
       email: '',
-      subscriptionStatus: 'active',
+      subscriptionStatus: 'none',
       revenuecatUserId: userId,
+      manualGrant: plan,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       grantedProAt: admin.firestore.FieldValue.serverTimestamp(),
     });
-    console.log('Created user', userId, 'with pro access');
+    console.log('Created user', userId, 'with', plan, 'access');
   } else {
     await userRef.update({
-      subscriptionStatus: 'active',
+      manualGrant: plan,
       grantedProAt: admin.firestore.FieldValue.serverTimestamp(),
     });
-    console.log('Updated user', userId, 'to pro (unlimited credits)');
+    console.log('Updated user', userId, 'to', plan, '(new allowance from the next daily top-up)');
   }
 }
 
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Seed the Firestore `styles` collection with the built-in dance styles.
+ * Existing style docs are left untouched unless --force is passed.
+ * Usage: node scripts/seed-styles.js [--force]
+ *
+ * After seeding, edit styles in Firebase Console → Firestore → styles
+ * (label, emoji, description, promptTemplate, previewVideoPath, soundtrack, proOnly, sortOrder, enabled).
+ * Upload each style's music track to Storage at its soundtrack.path (default music/<id>.mp3).
+ * Requires: GOOGLE_APPLICATION_CREDENTIALS or run: gcloud auth application-default login
+ */
+
+const admin = require('firebase-admin');
+const path = require('path');
+const { DEFAULT_STYLES } = require('../functions/helpers/styles');
+
+const projectId = 'petdance-da752';
+const force = process.argv.includes('--force');
+
+async function main() {
+  if (!admin.apps.length) {
+    try {
+      const keyPath = path.join(__dirname, '..', 'serviceAccountKey.json');
+      const fs = require('fs');
+      if (fs.existsSync(keyPath)) {
+        const serviceAccount = require(keyPath);
+        admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+      } else {
+        admin.initializeApp({ projectId });
+      }
+    } catch (e) {
+      admin.initializeApp({ projectId });
+    }
+  }
+
+  const db = admin.firestore();
+
+  for (const { id, ...style } of DEFAULT_STYLES) {
+    const ref = db.collection('styles').doc(id);
+    const snap = await ref.get();
+    if (snap.exists && !force) {
+      console.log('Skipping existing style', id);
+      continue;
+    }
+    await ref.set(style);
+    console.log('Seeded style', id);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});